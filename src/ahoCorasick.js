@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Aho-Corasick automaton for finding every stored word inside a text in one pass.
+ * The automaton runs over the trie's own nodes: a state is a position in the trie, either a
+ * node or (in compact mode) a point partway along the edge into one, and transitions follow
+ * the trie's children. Only the links are stored here. Each state gets a failure link to the
+ * state for its longest proper suffix that is also a trie path, and an output link to the
+ * nearest such suffix where a word ends, so a scan costs one transition per character plus
+ * one step per reported match.
+ */
+
+export class AhoCorasick {
+  /**
+   * @param {TrieNode} root - Root of a Trie
+   * @param {Object} [options] - Automaton options
+   * @param {boolean} [options.compact=false] - Whether the trie uses radix (multi-character) edges
+   */
+  constructor(root, { compact = false } = {}) {
+    this.compact = compact;
+    // Per state: the node whose incoming edge it is on, how many characters of that edge it has
+    // read (all of them when it stands on the node), the edge's characters, its depth in code
+    // points, and its failure and output links (-1 for no output). The states along one edge
+    // have consecutive ids, so reading one more character of it is `state + 1`.
+    this.nodes = [root];
+    this.offsets = [0];
+    this.labels = [[]];
+    this.depth = [0];
+    this.fail = [0];
+    this.output = [-1];
+    // Node -> id of the first state along its incoming edge
+    this.first = new Map([[root, 0]]);
+    this._link();
+  }
+
+  // Child of a node whose edge starts with the character `ch`, or undefined
+  _child(node, ch) {
+    const child = node.children[ch];
+    if (child !== undefined || !this.compact) return child;
+    for (const label in node.children) {
+      if (label.startsWith(ch)) return node.children[label];
+    }
+    return undefined;
+  }
+
+  // The state reached from `state` by reading `ch`, or -1 when the trie has no such path
+  _next(state, ch) {
+    const chars = this.labels[state];
+    const offset = this.offsets[state];
+    if (offset < chars.length) return chars[offset] === ch ? state + 1 : -1;
+    const child = this._child(this.nodes[state], ch);
+    return child === undefined ? -1 : this.first.get(child);
+  }
+
+  // Whether a word ends at a state: it stands on a node (not partway along its edge) that ends one
+  _isWord(state) {
+    return this.offsets[state] === this.labels[state].length && this.nodes[state].isEndOfWord;
+  }
+
+  // Number the states of every edge below a state's node, and list its outgoing [char, state] pairs
+  _transitions(state) {
+    const chars = this.labels[state];
+    const offset = this.offsets[state];
+    if (offset < chars.length) return [[chars[offset], state + 1]];
+
+    const transitions = [];
+    for (const [label, child] of Object.entries(this.nodes[state].children)) {
+      const childChars = [...label];
+      const first = this.nodes.length;
+      this.first.set(child, first);
+      childChars.forEach((ch, i) => {
+        this.nodes.push(child);
+        this.offsets.push(i + 1);
+        this.labels.push(childChars);
+        this.depth.push(this.depth[state] + i + 1);
+        this.fail.push(0);
+        this.output.push(-1);
+      });
+      transitions.push([childChars[0], first]);
+    }
+    return transitions;
+  }
+
+  // Breadth-first, so every shorter state's links are set before they are followed
+  _link() {
+    const queue = [0];
+    for (let i = 0; i < queue.length; i++) {
+      const state = queue[i];
+      for (const [ch, next] of this._transitions(state)) {
+        let fallback = this.fail[state];
+        while (fallback !== 0 && this._next(fallback, ch) === -1) {
+          fallback = this.fail[fallback];
+        }
+        const target = state === 0 ? -1 : this._next(fallback, ch);
+        const fail = target === -1 ? 0 : target;
+        this.fail[next] = fail;
+        this.output[next] = this._isWord(fail) ? fail : this.output[fail];
+        queue.push(next);
+      }
+    }
+  }
+
+  /**
+   * Feed a text through the automaton and yield every occurrence of every word, ordered by
+   * where they end; at the same end, longer words come first.
+   * @param {string[]} chars - Normalized text, one code point per entry
+   * @yields {{path: string, node: TrieNode, first: number, last: number}} - The stored key, its
+   *   node, and the indices in `chars` of its first and last character
+   */
+  *matches(chars) {
+    let state = 0;
+    for (let i = 0; i < chars.length; i++) {
+      const ch = chars[i];
+      let next = this._next(state, ch);
+      while (next === -1 && state !== 0) {
+        state = this.fail[state];
+        next = this._next(state, ch);
+      }
+      state = next === -1 ? 0 : next;
+
+      for (let match = this._isWord(state) ? state : this.output[state]; match !== -1; match = this.output[match]) {
+        const first = i - this.depth[match] + 1;
+        yield { path: chars.slice(first, i + 1).join(''), node: this.nodes[match], first, last: i };
+      }
+    }
+  }
+}
+
+export default AhoCorasick;
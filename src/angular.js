@@ -0,0 +1,126 @@
+import { InjectionToken, inject } from '@angular/core';
+import {
+  Observable, EMPTY, combineLatest, defer, merge, of,
+  catchError, debounceTime, distinctUntilChanged, map, startWith, switchMap
+} from 'rxjs';
+import { queryTrie, CHANGE_EVENTS } from './query.js';
+
+/**
+ * Injection token for the trie that TrieSearchService queries:
+ * `providers: [{ provide: TRIE, useValue: trie }]`.
+ * @type {InjectionToken}
+ */
+export const TRIE = new InjectionToken('trie-search-plus TRIE');
+
+/**
+ * Angular service exposing a Trie, FrozenTrie or WorkerTrie as RxJS observables.
+ * Register it with provideTrieSearch().
+ */
+export class TrieSearchService {
+    /**
+     * @param {Trie|FrozenTrie|WorkerTrie} [trie] - Trie to query; injected from TRIE by default
+     */
+    constructor(trie = inject(TRIE)) {
+      this.trie = trie;
+    }
+
+    /**
+     * Type-ahead state for a stream of typed queries. Queries are debounced, a newer query
+     * cancels the one in flight (aborting it in the worker for a WorkerTrie), and a Trie's
+     * change events re-run the current query. While a query loads, the previous results are kept.
+     * @param {Observable<string>} query$ - Typed text, e.g. a form control's valueChanges
+     * @param {Object} [options] - Query options
+     * @param {number} [options.debounce=150] - Milliseconds to wait after the last keystroke
+     * @param {number} [options.limit] - Return only the best `limit` completions
+     * @param {boolean|number} [options.fuzzy=false] - Tolerate typos: true for one edit, or a maximum edit distance
+     * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+     * @returns {Observable<{results: Array, loading: boolean, error: (Error|null)}>} - State per update
+     */
+    autocomplete(query$, options = {}) {
+      const { debounce = 150, ...queryOptions } = options;
+      return defer(() => {
+        let results = [];
+        const settled = (found, error = null) => {
+          results = found;
+          return { results, loading: false, error };
+        };
+
+        return combineLatest([
+          query$.pipe(debounceTime(debounce), distinctUntilChanged()),
+          this._changes().pipe(startWith(null))
+        ]).pipe(
+          switchMap(([query]) => {
+            if (!query) return of(settled([]));
+            return this._query(query, queryOptions).pipe(
+              map(found => settled(found)),
+              catchError(error => of(settled(results, error))),
+              startWith({ results, loading: true, error: null })
+            );
+          })
+        );
+      });
+    }
+
+    /**
+     * Live results for a prefix, as `trie.subscribe()`: emits now and whenever they change.
+     * Needs a Trie (not a FrozenTrie or WorkerTrie).
+     * @param {string} prefix - Prefix to watch
+     * @param {Object} [options] - autocomplete() options, e.g. { limit: 10 }
+     * @returns {Observable<Array>} - Results per change
+     */
+    watch(prefix, options = {}) {
+      return new Observable(subscriber => this.trie.subscribe(prefix, results => subscriber.next(results), options));
+    }
+
+    /**
+     * A Trie's change events of one type, as `trie.on()`.
+     * @param {string} type - 'insert', 'delete', 'clear' or 'progress'
+     * @returns {Observable<Object>} - Events
+     */
+    events(type) {
+      return new Observable(subscriber => this.trie.on(type, event => subscriber.next(event)));
+    }
+
+    // Every change that can alter query results, or nothing for tries without events
+    _changes() {
+      if (typeof this.trie.on !== 'function') return EMPTY;
+      return merge(...CHANGE_EVENTS.map(type => this.events(type)));
+    }
+
+    // One query; unsubscribing (as switchMap does for a newer query) aborts it
+    _query(query, options) {
+      return new Observable(subscriber => {
+        const controller = new AbortController();
+        let settled = false;
+        queryTrie(this.trie, query, { ...options, signal: controller.signal }).then(
+          found => {
+            settled = true;
+            subscriber.next(found);
+            subscriber.complete();
+          },
+          error => {
+            settled = true;
+            subscriber.error(error);
+          }
+        );
+        return () => {
+          if (!settled) controller.abort();
+        };
+      });
+    }
+  }
+
+/**
+ * Providers for TrieSearchService, for an application's or component's `providers`:
+ * `providers: [provideTrieSearch(trie)]`, then `inject(TrieSearchService)`. Built from a plain
+ * factory provider, so this JavaScript package needs neither decorators nor the Angular compiler.
+ * @param {Trie|FrozenTrie|WorkerTrie} [trie] - Trie to provide under TRIE; omit it when TRIE is provided elsewhere
+ * @returns {Array<Object>} - Providers
+ */
+export function provideTrieSearch(trie) {
+  const providers = [{ provide: TrieSearchService, useFactory: () => new TrieSearchService(inject(TRIE)) }];
+  if (trie !== undefined) providers.unshift({ provide: TRIE, useValue: trie });
+  return providers;
+}
+
+export default TrieSearchService;
@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview The `trie-search-plus` command: builds a trie from word files or a snapshot,
+ * answers one query per run, writes prebuilt snapshots, and offers a REPL for trying queries.
+ */
+import { createReadStream, readFileSync, realpathSync, statSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import Trie from './trie.js';
+
+const USAGE = `Usage: trie-search-plus <command> [arguments] [options]
+
+Commands:
+  build                     Load the words and write a snapshot to --out
+  autocomplete <prefix>     Complete a prefix, best-ranked first
+  fuzzy <query>             Words within --distance edits of the query
+  wildcard <pattern>        Words matching a pattern, "." standing for any one character
+  count [prefix]            Number of words, or of words starting with prefix
+  stats                     Size and shape of the trie
+  repl                      Try queries interactively
+
+Options:
+  -w, --words <file>        Word file to load; repeatable. One word per line, CSV or JSON
+  -s, --snapshot <file>     Prebuilt snapshot to load (.json, or binary from build)
+  -o, --out <file>          Snapshot file for build: JSON for .json, binary otherwise
+      --format <format>     Word file format: lines, csv or json (default: by extension)
+      --header              CSV files start with a header row
+      --normalize <names>   Comma-separated normalizers, e.g. caseInsensitive,accentInsensitive
+      --compact             Use the compact (radix) layout
+  -l, --limit <n>           Return at most n results
+  -d, --distance <n>        Maximum edit distance for fuzzy (default 1)
+      --json                Print results as JSON
+  -q, --quiet               No progress output
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+  words: { type: 'string', short: 'w', multiple: true },
+  snapshot: { type: 'string', short: 's' },
+  out: { type: 'string', short: 'o' },
+  format: { type: 'string' },
+  header: { type: 'boolean' },
+  normalize: { type: 'string' },
+  compact: { type: 'boolean' },
+  limit: { type: 'string', short: 'l' },
+  distance: { type: 'string', short: 'd' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = ['build', 'autocomplete', 'fuzzy', 'wildcard', 'count', 'stats', 'repl'];
+const FORMATS = ['lines', 'csv', 'json'];
+
+// Entries per batch insert while streaming a word file
+const CHUNK_SIZE = 10000;
+
+const REPL_HELP = `<prefix>                Autocomplete
+:fuzzy <query> [n]      Words within n edits (default --distance)
+:wildcard <pattern>     Wildcard search
+:count [prefix]         Count words
+:has <word>             Whether the word is stored
+:stats                  Size and shape of the trie
+:help                   This help
+:quit                   Leave`;
+
+/**
+ * Run the command line. Errors are reported on `stderr` rather than thrown.
+ * @param {string[]} argv - Arguments after the executable, e.g. `process.argv.slice(2)`
+ * @param {Object} [io] - Streams to use instead of the process's own
+ * @param {stream.Readable} [io.stdin] - Input for the REPL
+ * @param {stream.Writable} [io.stdout] - Results
+ * @param {stream.Writable} [io.stderr] - Progress and errors
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 on failure, 2 on bad usage
+ */
+export async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+
+  if (values.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!COMMANDS.includes(command)) {
+    stderr.write(`${command ? `Unknown command: ${command}\n\n` : ''}${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    const options = parseOptions(command, args, values);
+    const trie = await loadTrie(values, values.quiet ? null : stderr);
+    if (command === 'build') {
+      const bytes = writeSnapshot(trie, values.out);
+      stdout.write(`Wrote ${trie.size} words to ${values.out} (${bytes} bytes)\n`);
+    } else if (command === 'repl') {
+      await repl(trie, { stdin, stdout, ...options });
+    } else {
+      print(stdout, query(trie, command, args, options), values.json);
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`trie-search-plus: ${error.message}\n`);
+    return 1;
+  }
+}
+
+// Check the arguments a command needs before any file is read
+function parseOptions(command, args, values) {
+  if (['fuzzy', 'wildcard'].includes(command) && args.length === 0) {
+    throw new Error(`${command} needs a ${command === 'fuzzy' ? 'query' : 'pattern'}`);
+  }
+  if (command === 'build' && !values.out) throw new Error('build needs --out <file>');
+  if (!values.words && !values.snapshot) throw new Error('Nothing to load: pass --words <file> or --snapshot <file>');
+  if (values.format && !FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format: ${values.format}. Expected one of ${FORMATS.join(', ')}`);
+  }
+  return {
+    limit: parseCount('--limit', values.limit),
+    distance: parseCount('--distance', values.distance) ?? 1
+  };
+}
+
+function parseCount(name, text) {
+  if (text === undefined) return undefined;
+  const count = Number(text);
+  if (!Number.isInteger(count) || count < 0) throw new Error(`${name} must be a non-negative integer`);
+  return count;
+}
+
+/**
+ * Build the trie the options describe: a snapshot, word files, or word files added to a snapshot.
+ * @param {Object} options - Parsed command-line options
+ * @param {stream.Writable|null} progress - Where to report loading progress, or null for none
+ * @returns {Promise<Trie>} - The loaded trie
+ */
+export async function loadTrie(options, progress = null) {
+  const normalize = options.normalize ? options.normalize.split(',').map(name => name.trim()) : undefined;
+  let trie;
+  if (options.snapshot) {
+    const file = options.snapshot;
+    trie = extname(file).toLowerCase() === '.json'
+      ? Trie.fromJSON(readFileSync(file, 'utf8'), { normalize })
+      : Trie.deserialize(readFileSync(file), { normalize });
+  } else {
+    trie = new Trie({ normalize, compact: options.compact });
+  }
+
+  for (const file of options.words || []) {
+    const format = options.format || formatOf(file);
+    const report = progress && (percentage => progress.write(`\rLoading ${file}: ${percentage}%`));
+    await loadWordFile(trie, file, { format, header: options.header, onProgress: report });
+    if (progress) progress.write(`\rLoaded ${file}        \n`);
+  }
+  return trie;
+}
+
+function formatOf(file) {
+  const extension = extname(file).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.json') return 'json';
+  return 'lines';
+}
+
+/**
+ * Insert the words of one file. Line-based files are streamed and inserted in batches, so
+ * memory holds one batch rather than the whole file; JSON files are parsed whole.
+ * - lines: one word per line; blank lines are skipped
+ * - csv: the first column is the word, a numeric second column its score
+ * - json: an array of words or `{ key, value, score }` entries, as `insert` takes
+ * @param {Trie} trie - Trie to insert into
+ * @param {string} file - Path of the word file
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.format='lines'] - 'lines', 'csv' or 'json'
+ * @param {boolean} [options.header=false] - Skip the first line of a CSV file
+ * @param {Function} [options.onProgress] - Called with the percentage of the file inserted so far
+ * @returns {Promise<number>} - Number of entries inserted
+ */
+export async function loadWordFile(trie, file, { format = 'lines', header = false, onProgress = null } = {}) {
+  if (format === 'json') {
+    const entries = JSON.parse(readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error(`${file}: expected a JSON array of words`);
+    await trie.insert(entries, { onProgress: onProgress && (({ percentage }) => onProgress(percentage)) });
+    return entries.length;
+  }
+
+  let skipHeader = format === 'csv' && header;
+  const parse = line => {
+    if (skipHeader) {
+      skipHeader = false;
+      return null;
+    }
+    return format === 'csv' ? csvEntry(line) : line.trim();
+  };
+  const totalBytes = statSync(file).size;
+  const { processed } = await trie.insertFrom(createReadStream(file), {
+    chunkSize: CHUNK_SIZE,
+    parse,
+    totalBytes,
+    onProgress: onProgress && (({ percentage = 100 }) => onProgress(percentage))
+  });
+  return processed;
+}
+
+// A word with an optional numeric score from one CSV record, or null for a blank record
+function csvEntry(line) {
+  const [word = '', score = ''] = parseCsvLine(line).map(field => field.trim());
+  if (!word) return null;
+  return score !== '' && Number.isFinite(Number(score)) ? { key: word, score: Number(score) } : word;
+}
+
+// Split one CSV line into fields; quoted fields may hold commas and doubled quotes
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (line[i + 1] === '"') field += line[++i];
+      else quoted = false;
+    } else if (ch === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function writeSnapshot(trie, file) {
+  const data = extname(file).toLowerCase() === '.json' ? JSON.stringify(trie) : trie.serialize();
+  writeFileSync(file, data);
+  return typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+}
+
+// Answer one query command
+function query(trie, command, args, { limit, distance }) {
+  switch (command) {
+    case 'autocomplete':
+      return trie.autocomplete(args.join(' '), { limit });
+    case 'fuzzy':
+      return trie.fuzzySearch(args.join(' '), distance, { limit, withDistances: true });
+    case 'wildcard': {
+      const matches = trie.wildcardSearch(args.join(' '));
+      return limit === undefined ? matches : matches.slice(0, limit);
+    }
+    case 'count':
+      return args.length > 0 ? trie.countPrefix(args.join(' ')) : trie.size;
+    case 'stats':
+      return trieStats(trie);
+  }
+}
+
+/**
+ * Size and shape of a trie.
+ * @param {Trie} trie - Trie to measure
+ * @returns {{words: number, nodes: number, maxDepth: number, averageLength: number,
+ *   compact: boolean, snapshotBytes: number}} - Word and node counts, the longest key and the
+ *   average key length (in code points), the storage layout, and the binary snapshot size
+ */
+export function trieStats(trie) {
+  let nodes = 0;
+  let maxDepth = 0;
+  let totalLength = 0;
+  const stack = [[trie.root, 0]];
+  while (stack.length > 0) {
+    const [node, depth] = stack.pop();
+    nodes++;
+    maxDepth = Math.max(maxDepth, depth);
+    if (node.isEndOfWord) totalLength += depth;
+    for (const [label, child] of Object.entries(node.children)) {
+      stack.push([child, depth + [...label].length]);
+    }
+  }
+  const words = trie.size;
+  return {
+    words,
+    nodes,
+    maxDepth,
+    averageLength: words === 0 ? 0 : Math.round((totalLength / words) * 100) / 100,
+    compact: trie.compact,
+    snapshotBytes: trie.serialize().length
+  };
+}
+
+// Results one per line (fuzzy matches with their distance, stats as name: value), or as JSON
+function print(stdout, result, json) {
+  if (json) {
+    stdout.write(`${JSON.stringify(result)}\n`);
+  } else if (Array.isArray(result)) {
+    const lines = result.map(item => (typeof item === 'string' ? item : `${item.word}\t${item.distance}`));
+    if (lines.length > 0) stdout.write(`${lines.join('\n')}\n`);
+  } else if (typeof result === 'object') {
+    stdout.write(Object.entries(result).map(([name, value]) => `${name}: ${value}\n`).join(''));
+  } else {
+    stdout.write(`${result}\n`);
+  }
+}
+
+/**
+ * Read queries from `stdin` until it ends or `:quit`: plain text autocompletes, and
+ * `:`-commands run the other queries (`:help` lists them).
+ * @param {Trie} trie - Trie to query
+ * @param {Object} options - REPL options
+ * @param {stream.Readable} options.stdin - Where queries are read from
+ * @param {stream.Writable} options.stdout - Where results are written
+ * @param {number} [options.limit] - Default result limit
+ * @param {number} [options.distance=1] - Default fuzzy edit distance
+ * @returns {Promise<void>} - Resolves when the session ends
+ */
+export async function repl(trie, { stdin, stdout, limit, distance = 1 }) {
+  const lines = createInterface({ input: stdin, output: stdout, prompt: 'trie> ', terminal: Boolean(stdout.isTTY) });
+  stdout.write(`${trie.size} words loaded. Type a prefix to autocomplete, :help for commands.\n`);
+  lines.prompt();
+  for await (const line of lines) {
+    const input = line.trim();
+    if (input === ':quit' || input === ':exit') break;
+    try {
+      replCommand(trie, input, stdout, { limit, distance });
+    } catch (error) {
+      stdout.write(`Error: ${error.message}\n`);
+    }
+    lines.prompt();
+  }
+  lines.close();
+}
+
+function replCommand(trie, input, stdout, { limit, distance }) {
+  if (input === '') return;
+  if (!input.startsWith(':')) {
+    print(stdout, trie.autocomplete(input, { limit }));
+    return;
+  }
+  const [command, ...args] = input.slice(1).split(/\s+/);
+  switch (command) {
+    case 'fuzzy': {
+      const maxDistance = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? Number(args.pop()) : distance;
+      print(stdout, query(trie, 'fuzzy', args, { limit, distance: maxDistance }));
+      break;
+    }
+    case 'wildcard':
+    case 'count':
+    case 'stats':
+      print(stdout, query(trie, command, args, { limit, distance }));
+      break;
+    case 'has':
+      print(stdout, trie.has(args.join(' ')));
+      break;
+    case 'help':
+      stdout.write(`${REPL_HELP}\n`);
+      break;
+    default:
+      stdout.write(`Unknown command :${command}. Type :help for commands.\n`);
+  }
+}
+
+// Run when executed (including through npm's bin symlink), not when imported
+function invokedDirectly() {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch {
+    return false;
+  }
+}
+
+if (invokedDirectly()) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
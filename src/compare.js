@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Key ordering shared by sorted walks and the frozen trie.
+ */
+
+/**
+ * Compare two keys by code point, so characters outside the BMP sort after every BMP
+ * character instead of among the surrogates.
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number} - Negative, zero or positive, as for Array.prototype.sort
+ */
+export function compareKeys(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length) {
+    const x = a.codePointAt(i);
+    const y = b.codePointAt(i);
+    if (x !== y) return x - y;
+    i += x > 0xffff ? 2 : 1;
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Build the key comparator for a trie. Keys are compared character by character, so the
+ * order stays consistent with the trie's shape; a collator only decides how two characters
+ * compare, with code point order breaking its ties.
+ * @param {{compare: function(string, string): number}} [collator] - E.g. an Intl.Collator
+ * @returns {function(string, string): number} - Key comparator
+ */
+export function createKeyComparator(collator) {
+  if (!collator) return compareKeys;
+  const compareCodes = createCodePointComparator(collator);
+
+  return (a, b) => {
+    let i = 0;
+    while (i < a.length && i < b.length) {
+      const x = a.codePointAt(i);
+      const y = b.codePointAt(i);
+      if (x !== y) return compareCodes(x, y);
+      i += x > 0xffff ? 2 : 1;
+    }
+    return a.length - b.length;
+  };
+}
+
+/**
+ * Build the single-character comparator behind createKeyComparator, over code points.
+ * @param {{compare: function(string, string): number}} [collator] - E.g. an Intl.Collator
+ * @returns {function(number, number): number} - Code point comparator
+ */
+export function createCodePointComparator(collator) {
+  if (!collator) return (x, y) => x - y;
+  if (typeof collator.compare !== 'function') {
+    throw new TypeError('collator must have a compare(a, b) method, like Intl.Collator');
+  }
+  return (x, y) => (x === y ? 0 : collator.compare(String.fromCodePoint(x), String.fromCodePoint(y)) || x - y);
+}
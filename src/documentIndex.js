@@ -0,0 +1,190 @@
+import Trie from './trie.js';
+import { createNormalizer } from './normalize.js';
+
+/**
+ * Default tokenizer: splits on whitespace and punctuation.
+ * "Apple iPhone 15 Pro (128GB)" -> ["Apple", "iPhone", "15", "Pro", "128GB"]
+ * @param {string} text - Text to split
+ * @returns {string[]} - Tokens
+ */
+export function defaultTokenizer(text) {
+  return text.split(/[\s\p{P}]+/u).filter(token => token.length > 0);
+}
+
+/**
+ * Indexes multi-word documents (product titles, names, addresses) by every token, so a
+ * prefix finds a document whichever word it starts. Tokens are kept in a Trie whose values
+ * are the ids of the documents containing them.
+ */
+export class DocumentIndex {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {Function} [options.tokenizer] - `text => string[]`; defaults to splitting on whitespace and punctuation
+     * @param {Iterable<string>} [options.stopWords] - Tokens to leave out of the index and of queries
+     * @param {string|Function|Array<string|Function>} [options.normalize='caseInsensitive'] - Token
+     *   normalization, as for Trie
+     * @param {boolean} [options.compact=false] - Use the compact (radix) layout for the token trie
+     */
+    constructor(options = {}) {
+      const { tokenizer = defaultTokenizer, stopWords = [], normalize = 'caseInsensitive', compact = false } = options;
+      if (typeof tokenizer !== 'function') {
+        throw new TypeError('tokenizer must be a function that returns an array of tokens');
+      }
+      this.tokenizer = tokenizer;
+      this.normalizer = createNormalizer(normalize);
+      this.stopWords = new Set([...stopWords].map(word => this._normalize(word)));
+      this.tokens = new Trie({ normalize, compact });
+      // id -> { document, tokens, order }
+      this.documents = new Map();
+      this.nextId = 1;
+      this.insertions = 0;
+    }
+
+    _normalize(token) {
+      return this.normalizer ? this.normalizer(token) : token;
+    }
+
+    /**
+     * Split text into the normalized tokens that would be indexed for it, without stop words.
+     * @param {string} text - Text to tokenize
+     * @returns {string[]} - Distinct tokens in order of first appearance
+     */
+    tokenize(text) {
+      const tokens = this.tokenizer(text).map(token => this._normalize(token));
+      return [...new Set(tokens)].filter(token => token.length > 0 && !this.stopWords.has(token));
+    }
+
+    /**
+     * Index a document under each of its tokens. Inserting an existing id replaces that document.
+     * @param {string} document - Document text
+     * @param {Object} [options] - Insert options
+     * @param {*} [options.id] - Document id; numbered automatically when omitted
+     * @returns {*} - The document's id
+     */
+    insert(document, { id } = {}) {
+      if (typeof document !== 'string') {
+        throw new TypeError('Document must be a string');
+      }
+      if (id === undefined) {
+        while (this.documents.has(this.nextId)) this.nextId++;
+        id = this.nextId++;
+      } else if (this.documents.has(id)) {
+        this.delete(id);
+      }
+
+      const tokens = this.tokenize(document);
+      this.documents.set(id, { document, tokens, order: this.insertions++ });
+      for (const token of tokens) {
+        const ids = this.tokens.get(token) || new Set();
+        ids.add(id);
+        // The token's score counts the documents that contain it
+        this.tokens._insertWord(token, ids);
+      }
+      return id;
+    }
+
+    /**
+     * Remove a document from the index.
+     * @param {*} id - Document id
+     * @returns {boolean} - True if the document was indexed
+     */
+    delete(id) {
+      const entry = this.documents.get(id);
+      if (!entry) return false;
+      this.documents.delete(id);
+
+      for (const token of entry.tokens) {
+        const ids = this.tokens.get(token);
+        ids.delete(id);
+        if (ids.size === 0) {
+          this.tokens.delete(token);
+        } else {
+          this.tokens.recordSelection(token, -1);
+        }
+      }
+      return true;
+    }
+
+    /**
+     * Check whether a document id is indexed.
+     * @param {*} id - Document id
+     * @returns {boolean} - True if the id is indexed
+     */
+    has(id) {
+      return this.documents.has(id);
+    }
+
+    /**
+     * Get an indexed document's text.
+     * @param {*} id - Document id
+     * @returns {string|undefined} - The document, or undefined if the id is not indexed
+     */
+    get(id) {
+      const entry = this.documents.get(id);
+      return entry && entry.document;
+    }
+
+    /**
+     * Number of indexed documents.
+     * @type {number}
+     */
+    get size() {
+      return this.documents.size;
+    }
+
+    /**
+     * Find documents containing every query term as a whole token.
+     * @param {string} query - One or more terms
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Return at most this many documents
+     * @returns {Array<{id: *, document: string}>} - Matching documents in insertion order
+     */
+    search(query, { limit } = {}) {
+      const terms = this.tokenize(query);
+      return this._match(terms.map(term => this.tokens.get(term) || new Set()), [], limit);
+    }
+
+    /**
+     * Type-ahead over documents: every query term is treated as a token prefix, and a document
+     * matches when each term starts one of its tokens ("app pro" finds "Apple iPhone 15 Pro").
+     * Documents where more terms match a whole token rank first; otherwise insertion order is kept.
+     * Stop words are dropped from the query except for the last term, which may still be being typed.
+     * @param {string} query - Typed query
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Return at most this many documents
+     * @returns {Array<{id: *, document: string}>} - Matching documents
+     */
+    autocomplete(query, { limit } = {}) {
+      const terms = this.tokenizer(query).map(token => this._normalize(token)).filter(token => token.length > 0);
+      const kept = terms.filter((term, i) => i === terms.length - 1 || !this.stopWords.has(term));
+
+      const matches = kept.map(term => {
+        const ids = new Set();
+        for (const { value } of this.tokens.autocomplete(term, { withValues: true })) {
+          value.forEach(id => ids.add(id));
+        }
+        return ids;
+      });
+      const exact = kept.map(term => this.tokens.get(term) || new Set());
+      return this._match(matches, exact, limit);
+    }
+
+    // Intersect per-term id sets and rank by how many terms hit a whole token
+    _match(idSets, exactSets, limit) {
+      if (idSets.length === 0) return [];
+      const [smallest, ...rest] = [...idSets].sort((a, b) => a.size - b.size);
+
+      const results = [];
+      for (const id of smallest) {
+        if (!rest.every(ids => ids.has(id))) continue;
+        const exactHits = exactSets.reduce((count, ids) => count + (ids.has(id) ? 1 : 0), 0);
+        results.push({ id, exactHits, order: this.documents.get(id).order });
+      }
+      results.sort((a, b) => b.exactHits - a.exactHits || a.order - b.order);
+      if (limit !== undefined) results.length = Math.min(results.length, Math.max(0, limit));
+
+      return results.map(({ id }) => ({ id, document: this.documents.get(id).document }));
+    }
+  }
+
+export default DocumentIndex;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Error classes thrown by trie-search-plus.
+ */
+
+/**
+ * Rejection reason for operations cancelled through an AbortSignal.
+ */
+export class AbortError extends Error {
+  /**
+   * @param {string} [message] - Error message
+   */
+  constructor(message = 'The operation was aborted') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Rejection reason for a worker request that got no reply within its timeout.
+ */
+export class WorkerTimeoutError extends Error {
+  /**
+   * @param {number} timeout - Milliseconds waited
+   */
+  constructor(timeout) {
+    super(`The worker did not reply within ${timeout} ms`);
+    this.name = 'WorkerTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Rejection reason for an error thrown inside the worker while it handled a request, such as
+ * a hosted-trie method called with bad arguments. Only the message and the original error's
+ * name survive the trip between threads.
+ */
+export class WorkerError extends Error {
+  /**
+   * @param {string} message - The worker-side error's message
+   * @param {string} [workerErrorName='Error'] - The worker-side error's name, e.g. 'TypeError'
+   */
+  constructor(message, workerErrorName = 'Error') {
+    super(message);
+    this.name = 'WorkerError';
+    this.workerErrorName = workerErrorName;
+  }
+}
+
+/**
+ * Rejection reason when the worker cannot be started, or fails while handling requests.
+ */
+export class WorkerLoadError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - `{ cause }`: the underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'WorkerLoadError';
+  }
+}
@@ -0,0 +1,795 @@
+/**
+ * @fileoverview Read-only trie minimized into a DAWG (directed acyclic word graph) and
+ * packed into typed arrays.
+ *
+ * Equivalent subtrees (the same words below them, e.g. the "-ing" and "-tion" tails shared
+ * by thousands of words) are stored once. Because several words can then end at the same
+ * node, per-word data (score, value, display form) cannot live on the nodes. Instead every
+ * node records how many words its subtree holds, and a word's index in sorted order is
+ * recovered while walking to it by adding up the counts of the edges it skips.
+ *
+ * Packed layout for N nodes and E edges (node 0 is the root):
+ *
+ *   edgeStart    Uint32Array(N + 1)  edges of node n are edgeStart[n] .. edgeStart[n + 1] - 1
+ *   finals       Uint8Array(N)       1 if a word ends at the node
+ *   counts       Uint32Array(N)      number of words in the node's subtree
+ *   edgeChars    Uint32Array(E)      code point on each edge, ascending within a node (in the
+ *                                    collator's order when one is given)
+ *   edgeTargets  Uint32Array(E)      node each edge leads to
+ *   scores       Float64Array(words) ranking score by word index
+ *   scoreBounds  Float64Array(2 * words)  max-tree over scores: entry words + i is scores[i], and
+ *                                    every entry below that is the larger of entries 2i and 2i + 1
+ */
+
+import { createNormalizer } from './normalize.js';
+import { compilePattern } from './pattern.js';
+import { EditDistance, rankMatches } from './fuzzy.js';
+import { createKeyComparator, createCodePointComparator } from './compare.js';
+import PriorityQueue from './priorityQueue.js';
+
+// Order of the best-first queue, as in Trie: higher score first, a word before a subtree
+// with the same bound, then by path
+const compareCandidates = (a, b) =>
+  b.priority - a.priority ||
+  b.isWord - a.isWord ||
+  (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+// Mutable node used only while building; `edges` holds [codePoint, node] pairs in ascending order
+class BuildNode {
+  constructor() {
+    this.final = false;
+    this.edges = [];
+    this.count = 0;
+    this.id = -1;
+  }
+}
+
+// Incremental minimization for sorted input (Daciuk et al. 2000). Once the next key leaves a
+// branch, nothing below it can change, so each of its nodes is either replaced by an
+// equivalent registered node or registered itself.
+function buildGraph(keys) {
+  const root = new BuildNode();
+  const register = new Map();
+  const unchecked = [];
+  let previous = [];
+
+  const minimize = (depth) => {
+    while (unchecked.length > depth) {
+      const { parent, child } = unchecked.pop();
+      let signature = child.final ? '1' : '0';
+      for (const [code, target] of child.edges) {
+        signature += ',' + code + ':' + target.id;
+      }
+      const existing = register.get(signature);
+      if (existing) {
+        parent.edges[parent.edges.length - 1][1] = existing;
+      } else {
+        child.id = register.size;
+        child.count = child.final ? 1 : 0;
+        for (const [, target] of child.edges) child.count += target.count;
+        register.set(signature, child);
+      }
+    }
+  };
+
+  for (const key of keys) {
+    const chars = Array.from(key, ch => ch.codePointAt(0));
+    let common = 0;
+    while (common < chars.length && common < previous.length && chars[common] === previous[common]) {
+      common++;
+    }
+    minimize(common);
+
+    let node = unchecked.length > 0 ? unchecked[unchecked.length - 1].child : root;
+    for (let i = common; i < chars.length; i++) {
+      const child = new BuildNode();
+      node.edges.push([chars[i], child]);
+      unchecked.push({ parent: node, child });
+      node = child;
+    }
+    node.final = true;
+    previous = chars;
+  }
+  minimize(0);
+
+  root.count = root.final ? 1 : 0;
+  for (const [, target] of root.edges) root.count += target.count;
+  return root;
+}
+
+/**
+ * An immutable trie for dictionaries that never change after they are built, such as a
+ * spell-check word list. Stores a minimal DAWG in typed arrays, so shared suffixes and
+ * per-node object overhead cost nothing. Supports the same read-only queries as Trie;
+ * mutating methods throw.
+ *
+ * Words are kept in code point order, or in a collator's order of their characters, so
+ * listWords() and unranked autocomplete() return sorted results.
+ */
+export class FrozenTrie {
+    /**
+     * Use FrozenTrie.from() or trie.freeze() rather than calling this directly.
+     * @param {Array<{key: string, word: (string|undefined), value: *, score: number}>} entries - One
+     *   entry per distinct normalized key
+     * @param {Object} [options] - Configuration options
+     * @param {string|Function|Array<string|Function>} [options.normalize] - Key normalization, as for Trie
+     * @param {Intl.Collator} [options.collator] - Orders characters for sorted results and range
+     *   queries, as for Trie; defaults to code point order
+     */
+    constructor(entries, options = {}) {
+      this.normalizeSpec = options.normalize;
+      this.normalizer = createNormalizer(options.normalize);
+      this.collator = options.collator;
+      this._compareKeys = createKeyComparator(options.collator);
+      this._compareCodes = createCodePointComparator(options.collator);
+
+      entries = [...entries].sort((a, b) => this._compareKeys(a.key, b.key));
+      this.scores = new Float64Array(entries.length);
+      // Sparse per-word data, keyed by word index
+      this.wordValues = new Map();
+      this.displayWords = new Map();
+      entries.forEach((entry, index) => {
+        this.scores[index] = entry.score;
+        if (entry.value !== undefined) this.wordValues.set(index, entry.value);
+        if (entry.word !== undefined) this.displayWords.set(index, entry.word);
+      });
+      this.scoreBounds = new Float64Array(2 * entries.length);
+      this.scoreBounds.set(this.scores, entries.length);
+      for (let i = entries.length - 1; i > 0; i--) {
+        this.scoreBounds[i] = Math.max(this.scoreBounds[2 * i], this.scoreBounds[2 * i + 1]);
+      }
+
+      this._pack(buildGraph(entries.map(entry => entry.key)));
+    }
+
+    /**
+     * Build a frozen trie straight from a word list, with the same insert semantics as
+     * `trie.insert(words)`: repeated words add to their score, and `{ key, value, score }`
+     * entries attach a value and an explicit score.
+     * @param {Array<string|{key: string, value: *, score: number}>} words - Words or entries
+     * @param {Object} [options] - Configuration options (`normalize` and `collator`, as for Trie)
+     * @returns {FrozenTrie} - The frozen trie
+     */
+    static from(words, options = {}) {
+      const normalizer = createNormalizer(options.normalize);
+      const byKey = new Map();
+
+      for (const item of words) {
+        const word = typeof item === 'string' ? item : item && item.key;
+        if (typeof word !== 'string' || word.length === 0) continue;
+        const key = normalizer ? normalizer(word) : word;
+        const entry = byKey.get(key) || { key, word: undefined, value: undefined, score: 0 };
+        entry.score = typeof item === 'object' && item.score !== undefined ? item.score : entry.score + 1;
+        entry.word = key !== word ? word : undefined;
+        if (typeof item === 'object' && item.value !== undefined) entry.value = item.value;
+        byKey.set(key, entry);
+      }
+
+      return new FrozenTrie(byKey.values(), options);
+    }
+
+    /**
+     * Freeze the current contents of a Trie (either storage layout). The Trie itself is left untouched.
+     * @param {Trie} trie - Source trie
+     * @returns {FrozenTrie} - The frozen trie, using the same normalization and collator
+     */
+    static fromTrie(trie) {
+      const entries = [];
+      // An explicit stack rather than recursion, so a very long key cannot overflow the call stack
+      const stack = [[trie.root, '']];
+      while (stack.length > 0) {
+        const [node, path] = stack.pop();
+        if (node.isEndOfWord) {
+          entries.push({ key: path, word: node.word, value: node.value, score: node.score });
+        }
+        for (const [label, child] of Object.entries(node.children)) {
+          stack.push([child, path + label]);
+        }
+      }
+
+      return new FrozenTrie(entries, { normalize: trie.normalizeSpec, collator: trie.collator });
+    }
+
+    // Number the minimized graph breadth-first from the root and copy it into typed arrays
+    _pack(root) {
+      const order = [root];
+      const ids = new Map([[root, 0]]);
+      let edgeCount = 0;
+      for (let i = 0; i < order.length; i++) {
+        for (const [, target] of order[i].edges) {
+          edgeCount++;
+          if (!ids.has(target)) {
+            ids.set(target, order.length);
+            order.push(target);
+          }
+        }
+      }
+
+      this.edgeStart = new Uint32Array(order.length + 1);
+      this.finals = new Uint8Array(order.length);
+      this.counts = new Uint32Array(order.length);
+      this.edgeChars = new Uint32Array(edgeCount);
+      this.edgeTargets = new Uint32Array(edgeCount);
+
+      let edge = 0;
+      order.forEach((node, id) => {
+        this.edgeStart[id] = edge;
+        this.finals[id] = node.final ? 1 : 0;
+        this.counts[id] = node.count;
+        for (const [code, target] of node.edges) {
+          this.edgeChars[edge] = code;
+          this.edgeTargets[edge] = ids.get(target);
+          edge++;
+        }
+      });
+      this.edgeStart[order.length] = edge;
+    }
+
+    // Map a word or query to the key it is stored under
+    _normalize(word) {
+      return this.normalizer ? this.normalizer(word) : word;
+    }
+
+    // Binary search a node's edges for a code point; returns the edge or -1
+    _findEdge(node, code) {
+      let low = this.edgeStart[node];
+      let high = this.edgeStart[node + 1] - 1;
+      while (low <= high) {
+        const mid = (low + high) >>> 1;
+        const order = this._compareCodes(this.edgeChars[mid], code);
+        if (order === 0) return mid;
+        if (order < 0) low = mid + 1;
+        else high = mid - 1;
+      }
+      return -1;
+    }
+
+    // Walk to the node for an already-normalized key. `index` is the index of the first
+    // word in that node's subtree (its own word, when one ends there).
+    _walk(key) {
+      let node = 0;
+      let index = 0;
+      for (const ch of key) {
+        const edge = this._findEdge(node, ch.codePointAt(0));
+        if (edge < 0) return null;
+        index += this.finals[node];
+        for (let e = this.edgeStart[node]; e < edge; e++) {
+          index += this.counts[this.edgeTargets[e]];
+        }
+        node = this.edgeTargets[edge];
+      }
+      return { node, index };
+    }
+
+    // Iterative pre-order walk yielding [index, path] for every word below `node`, in sorted
+    // order. `after` skips every key up to and including it, pruning subtrees that lie before it.
+    *_words(node, index, path, after) {
+      const stack = [[node, index, path]];
+      while (stack.length > 0) {
+        const [current, firstIndex, currentPath] = stack.pop();
+        let childIndex = firstIndex;
+        if (this.finals[current]) {
+          if (after === undefined || this._compareKeys(currentPath, after) > 0) yield [firstIndex, currentPath];
+          childIndex++;
+        }
+
+        const children = [];
+        for (let e = this.edgeStart[current]; e < this.edgeStart[current + 1]; e++) {
+          const target = this.edgeTargets[e];
+          const childPath = currentPath + String.fromCodePoint(this.edgeChars[e]);
+          if (after === undefined || this._compareKeys(childPath, after) >= 0 || after.startsWith(childPath)) {
+            children.push([target, childIndex, childPath]);
+          }
+          childIndex += this.counts[target];
+        }
+        // Pushed in reverse so they come off the stack in order
+        for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+      }
+    }
+
+    // Shape a query result: the word as inserted, or a { word, value } entry
+    _result(index, path, withValues) {
+      const word = this.displayWords.has(index) ? this.displayWords.get(index) : path;
+      return withValues ? { word, value: this.wordValues.get(index) } : word;
+    }
+
+    _readOnly(method) {
+      return new Error(`FrozenTrie is read-only: ${method}() is not supported. Modify a Trie and call freeze() again.`);
+    }
+
+    _noHistory(method) {
+      return new Error(`FrozenTrie keeps no history: ${method}() is only available on a Trie created with { history: true }.`);
+    }
+
+    // Search for an exact word
+    search(word) {
+      const found = this._walk(this._normalize(word));
+      return found !== null && this.finals[found.node] === 1;
+    }
+
+    /**
+     * Check whether a key is stored in the trie.
+     * @param {string} key - Key to look up
+     * @returns {boolean} - True if the key is in the dictionary
+     */
+    has(key) {
+      return this.search(key);
+    }
+
+    /**
+     * Get the value attached to a key.
+     * @param {string} key - Key to look up
+     * @returns {*} - The stored value, or undefined if the key is missing or has no value
+     */
+    get(key) {
+      const found = this._walk(this._normalize(key));
+      return found !== null && this.finals[found.node] === 1 ? this.wordValues.get(found.index) : undefined;
+    }
+
+    // Prefix search
+    startsWith(prefix) {
+      return this._walk(this._normalize(prefix)) !== null;
+    }
+
+    // Longest stored word the text starts with, as Trie.longestPrefixOf
+    longestPrefixOf(text, options = {}) {
+      let longest;
+      for (const [index, path] of this._prefixWords(this._normalize(text))) {
+        longest = this._result(index, path, options.withValues);
+      }
+      return longest;
+    }
+
+    // Every stored word the text starts with, shortest first, as Trie.prefixesOf
+    prefixesOf(text, options = {}) {
+      const results = [];
+      for (const [index, path] of this._prefixWords(this._normalize(text))) {
+        results.push(this._result(index, path, options.withValues));
+      }
+      return results;
+    }
+
+    // Yield [index, path] for each word along the path of an already-normalized key
+    *_prefixWords(key) {
+      let node = 0;
+      let index = 0;
+      let path = '';
+      if (this.finals[node]) yield [index, path];
+      for (const ch of key) {
+        const edge = this._findEdge(node, ch.codePointAt(0));
+        if (edge < 0) return;
+        index += this.finals[node];
+        for (let e = this.edgeStart[node]; e < edge; e++) {
+          index += this.counts[this.edgeTargets[e]];
+        }
+        node = this.edgeTargets[edge];
+        path += ch;
+        if (this.finals[node]) yield [index, path];
+      }
+    }
+
+    // Autocomplete suggestions, in sorted order
+    // Pass { withValues: true } to get { word, value } entries instead of strings,
+    // { limit: k } to get only the k highest-scoring completions, best first,
+    // and { after: word, limit: k } to page through them in sorted order
+    autocomplete(prefix, options = {}) {
+      const { withValues = false, limit, after } = options;
+      if (after !== undefined) {
+        const results = [];
+        if (limit !== undefined && limit <= 0) return results;
+        for (const result of this.autocompleteIter(prefix, { withValues, after })) {
+          results.push(result);
+          if (results.length === limit) break;
+        }
+        return results;
+      }
+
+      const start = this._normalize(prefix);
+      const found = this._walk(start);
+      if (!found) return [];
+      if (limit !== undefined) {
+        return this._topCompletions(found.node, found.index, start, limit, withValues);
+      }
+      const results = [];
+      for (const [index, path] of this._words(found.node, found.index, start)) {
+        results.push(this._result(index, path, withValues));
+      }
+      return results;
+    }
+
+    // Highest score among the words with indexes in [from, to), read off the max-tree
+    _maxScore(from, to) {
+      const leaves = this.scores.length;
+      let max = -Infinity;
+      for (let low = from + leaves, high = to + leaves; low < high; low >>= 1, high >>= 1) {
+        if (low & 1) max = Math.max(max, this.scoreBounds[low++]);
+        if (high & 1) max = Math.max(max, this.scoreBounds[--high]);
+      }
+      return max;
+    }
+
+    // Best-first search ordered by score, as in Trie. A shared node has no score bound of its
+    // own, but the words below it along one path have consecutive indexes, so the subtree is
+    // queued under the highest score in that range and only expanded once nothing queued can
+    // outrank it.
+    _topCompletions(node, index, prefix, limit, withValues) {
+      const results = [];
+      const queue = new PriorityQueue(compareCandidates);
+      queue.push({ node, index, path: prefix, isWord: false, priority: this._maxScore(index, index + this.counts[node]) });
+
+      while (queue.size > 0 && results.length < limit) {
+        const { node: current, index: first, path, isWord } = queue.pop();
+        if (isWord) {
+          results.push(this._result(first, path, withValues));
+          continue;
+        }
+        let childIndex = first;
+        if (this.finals[current]) {
+          queue.push({ node: current, index: first, path, isWord: true, priority: this.scores[first] });
+          childIndex++;
+        }
+        for (let e = this.edgeStart[current]; e < this.edgeStart[current + 1]; e++) {
+          const target = this.edgeTargets[e];
+          const end = childIndex + this.counts[target];
+          queue.push({
+            node: target,
+            index: childIndex,
+            path: path + String.fromCodePoint(this.edgeChars[e]),
+            isWord: false,
+            priority: this._maxScore(childIndex, end)
+          });
+          childIndex = end;
+        }
+      }
+
+      return results;
+    }
+
+    // Lazily yield completions in sorted order, as Trie.autocompleteIter
+    *autocompleteIter(prefix, options = {}) {
+      const { withValues = false, after } = options;
+      const start = this._normalize(prefix);
+      const found = this._walk(start);
+      if (!found) return;
+
+      const cursor = after === undefined || after === null ? undefined : this._normalize(after);
+      for (const [index, path] of this._words(found.node, found.index, start, cursor)) {
+        yield this._result(index, path, withValues);
+      }
+    }
+
+    // Fuzzy search, with the same options as Trie.fuzzySearch
+    fuzzySearch(query, maxDistance = 1, options = {}) {
+      const { withValues = false, withDistances = false, limit } = options;
+      const edits = new EditDistance(this._normalize(query), maxDistance, options);
+      const matches = [];
+
+      const dfs = (node, index, path, state) => {
+        const distance = edits.distance(state);
+        if (this.finals[node] && distance <= maxDistance) {
+          matches.push({ index, path, distance, score: this.scores[index] });
+        }
+        index += this.finals[node];
+
+        for (let e = this.edgeStart[node]; e < this.edgeStart[node + 1]; e++) {
+          const target = this.edgeTargets[e];
+          const ch = String.fromCodePoint(this.edgeChars[e]);
+          const next = edits.step(state, ch);
+          if (!edits.isDead(next)) dfs(target, index, path + ch, next);
+          index += this.counts[target];
+        }
+      };
+
+      dfs(0, 0, '', edits.initial());
+      if (withDistances || limit !== undefined) rankMatches(matches, limit);
+      return this._fuzzyResults(matches, withValues, withDistances);
+    }
+
+    // Typo-tolerant prefix completion, with the same options as Trie.fuzzyAutocomplete
+    fuzzyAutocomplete(prefix, options = {}) {
+      const { maxDistance = 1, limit, withValues = false, withDistances = false } = options;
+      const edits = new EditDistance(this._normalize(prefix), maxDistance, options);
+      const matches = [];
+
+      // `best` is the closest the prefix came to any start of `path`
+      const dfs = (node, index, path, state, best) => {
+        if (this.finals[node] && best <= maxDistance) {
+          matches.push({ index, path, distance: best, score: this.scores[index] });
+        }
+        index += this.finals[node];
+
+        for (let e = this.edgeStart[node]; e < this.edgeStart[node + 1]; e++) {
+          const target = this.edgeTargets[e];
+          const ch = String.fromCodePoint(this.edgeChars[e]);
+          const next = edits.step(state, ch);
+          const childBest = Math.min(best, edits.distance(next));
+          if (!edits.isDead(next)) {
+            dfs(target, index, path + ch, next, childBest);
+          } else if (childBest <= maxDistance) {
+            // Out of range from here on, so everything below completes at `childBest`
+            for (const [wordIndex, wordPath] of this._words(target, index, path + ch)) {
+              matches.push({ index: wordIndex, path: wordPath, distance: childBest, score: this.scores[wordIndex] });
+            }
+          }
+          index += this.counts[target];
+        }
+      };
+
+      const initial = edits.initial();
+      dfs(0, 0, '', initial, edits.distance(initial));
+      rankMatches(matches, limit);
+      return this._fuzzyResults(matches, withValues, withDistances);
+    }
+
+    // Shape fuzzy matches like _result, adding the distance when asked for
+    _fuzzyResults(matches, withValues, withDistances) {
+      return matches.map(({ index, path, distance }) => {
+        const result = this._result(index, path, withValues);
+        if (!withDistances) return result;
+        return withValues ? { ...result, distance } : { word: result, distance };
+      });
+    }
+
+    // Wildcard search ('.' can match any character)
+    wildcardSearch(pattern, options = {}) {
+      const { withValues = false } = options;
+      // Normalize the literal runs only, so a normalizer can never touch the '.' wildcards
+      const word = [...pattern.split('.').map(part => this._normalize(part)).join('.')];
+      const results = [];
+
+      const dfs = (node, index, i, path) => {
+        if (i === word.length) {
+          if (this.finals[node]) results.push(this._result(index, path, withValues));
+          return;
+        }
+        index += this.finals[node];
+
+        const code = word[i] === '.' ? -1 : word[i].codePointAt(0);
+        for (let e = this.edgeStart[node]; e < this.edgeStart[node + 1]; e++) {
+          const target = this.edgeTargets[e];
+          if (code === -1 || this.edgeChars[e] === code) {
+            dfs(target, index, i + 1, path + String.fromCodePoint(this.edgeChars[e]));
+          }
+          index += this.counts[target];
+        }
+      };
+
+      dfs(0, 0, 0, '');
+      return results;
+    }
+
+    // Glob / regex-subset search, as Trie.patternSearch
+    patternSearch(pattern, options = {}) {
+      const { syntax = 'glob', withValues = false } = options;
+      const matcher = compilePattern(pattern, { syntax, normalize: this.normalizer });
+      const results = [];
+
+      const dfs = (node, index, path, states) => {
+        if (this.finals[node] && matcher.matches(states)) {
+          results.push(this._result(index, path, withValues));
+        }
+        index += this.finals[node];
+
+        for (let e = this.edgeStart[node]; e < this.edgeStart[node + 1]; e++) {
+          const target = this.edgeTargets[e];
+          const ch = String.fromCodePoint(this.edgeChars[e]);
+          const next = matcher.step(states, ch);
+          if (next.length > 0) dfs(target, index, path + ch, next);
+          index += this.counts[target];
+        }
+      };
+
+      dfs(0, 0, '', matcher.initial);
+      return results;
+    }
+
+    // Number of words whose keys sort before an already-normalized key: along the key's path,
+    // every word ending above it and every subtree on a smaller edge comes first
+    _rank(key) {
+      let node = 0;
+      let rank = 0;
+      for (const ch of key) {
+        const code = ch.codePointAt(0);
+        rank += this.finals[node];
+        const end = this.edgeStart[node + 1];
+        let edge = this.edgeStart[node];
+        for (; edge < end && this._compareCodes(this.edgeChars[edge], code) < 0; edge++) {
+          rank += this.counts[this.edgeTargets[edge]];
+        }
+        if (edge === end || this.edgeChars[edge] !== code) return rank;
+        node = this.edgeTargets[edge];
+      }
+      return rank;
+    }
+
+    // Key of the word at a sorted index, found by descending through the subtree counts
+    _select(index) {
+      let node = 0;
+      let path = '';
+      let remaining = index;
+      for (;;) {
+        if (this.finals[node]) {
+          if (remaining === 0) return path;
+          remaining--;
+        }
+        let edge = this.edgeStart[node];
+        while (remaining >= this.counts[this.edgeTargets[edge]]) {
+          remaining -= this.counts[this.edgeTargets[edge]];
+          edge++;
+        }
+        path += String.fromCodePoint(this.edgeChars[edge]);
+        node = this.edgeTargets[edge];
+      }
+    }
+
+    // The word at a sorted index, or undefined when the index is out of range
+    _at(index) {
+      return index >= 0 && index < this.counts[0] ? this._result(index, this._select(index), false) : undefined;
+    }
+
+    // Words with keys in [from, to), as Trie.range
+    range(from, to, options = {}) {
+      const { withValues = false, limit } = options;
+      const first = from === undefined || from === null ? 0 : this._rank(this._normalize(from));
+      const end = to === undefined || to === null ? this.counts[0] : this._rank(this._normalize(to));
+      let count = Math.max(0, end - first);
+      if (limit !== undefined) count = Math.min(count, Math.max(0, limit));
+
+      const results = [];
+      if (count === 0) return results;
+      // Resume the sorted walk right after the word before the range
+      const after = first > 0 ? this._select(first - 1) : undefined;
+      for (const [index, path] of this._words(0, 0, '', after)) {
+        results.push(this._result(index, path, withValues));
+        if (results.length === count) break;
+      }
+      return results;
+    }
+
+    // Greatest word <= word, as Trie.floor
+    floor(word) {
+      const key = this._normalize(word);
+      return this._at(this._rank(key) - (this.search(word) ? 0 : 1));
+    }
+
+    // Least word >= word, as Trie.ceiling
+    ceiling(word) {
+      return this._at(this._rank(this._normalize(word)));
+    }
+
+    // Greatest word < word, as Trie.predecessor
+    predecessor(word) {
+      return this._at(this._rank(this._normalize(word)) - 1);
+    }
+
+    // Least word > word, as Trie.successor
+    successor(word) {
+      return this._at(this._rank(this._normalize(word)) + (this.search(word) ? 1 : 0));
+    }
+
+    // Number of words sorting before word, as Trie.rank
+    rank(word) {
+      return this._rank(this._normalize(word));
+    }
+
+    // Word at a sorted position, as Trie.select
+    select(index) {
+      return Number.isInteger(index) ? this._at(index) : undefined;
+    }
+
+    // Count words in trie
+    countWords() {
+      return this.counts[0];
+    }
+
+    // Number of words, as Trie.size
+    get size() {
+      return this.counts[0];
+    }
+
+    // Number of words starting with a prefix, as Trie.countPrefix
+    countPrefix(prefix) {
+      const found = this._walk(this._normalize(prefix));
+      return found ? this.counts[found.node] : 0;
+    }
+
+    // List all words, in sorted order
+    listWords() {
+      return [...this.keys()];
+    }
+
+    // Lazily yield every word, in sorted order
+    *keys() {
+      for (const [index, path] of this._words(0, 0, '')) {
+        yield this._result(index, path, false);
+      }
+    }
+
+    // Lazily yield the value attached to every word, in sorted order of the words
+    *values() {
+      for (const [index] of this._words(0, 0, '')) {
+        yield this.wordValues.get(index);
+      }
+    }
+
+    // Lazily yield [word, value] pairs, like Map.prototype.entries
+    *entries() {
+      for (const [index, path] of this._words(0, 0, '')) {
+        yield [this._result(index, path, false), this.wordValues.get(index)];
+      }
+    }
+
+    [Symbol.iterator]() {
+      return this.entries();
+    }
+
+    insert() {
+      throw this._readOnly('insert');
+    }
+
+    insertFrom() {
+      throw this._readOnly('insertFrom');
+    }
+
+    delete() {
+      throw this._readOnly('delete');
+    }
+
+    recordSelection() {
+      throw this._readOnly('recordSelection');
+    }
+
+    deleteMany() {
+      throw this._readOnly('deleteMany');
+    }
+
+    deletePrefix() {
+      throw this._readOnly('deletePrefix');
+    }
+
+    clear() {
+      throw this._readOnly('clear');
+    }
+
+    merge() {
+      throw this._readOnly('merge');
+    }
+
+    transaction() {
+      throw this._readOnly('transaction');
+    }
+
+    undo() {
+      throw this._readOnly('undo');
+    }
+
+    redo() {
+      throw this._readOnly('redo');
+    }
+
+    restore() {
+      throw this._readOnly('restore');
+    }
+
+    checkpoint() {
+      throw this._readOnly('checkpoint');
+    }
+
+    deleteCheckpoint() {
+      throw this._readOnly('deleteCheckpoint');
+    }
+
+    listCheckpoints() {
+      throw this._noHistory('listCheckpoints');
+    }
+
+    diff() {
+      throw this._noHistory('diff');
+    }
+
+    history() {
+      throw this._noHistory('history');
+    }
+  }
+
+export default FrozenTrie;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Incremental edit distance for fuzzy trie walks. A walk keeps one dynamic
+ * programming row per depth, so each trie edge costs one row update, and a whole subtree is
+ * dropped once no row below it can come back within the allowed distance.
+ */
+
+/**
+ * Edit distance between a fixed query and the path being walked, one character at a time.
+ * Plain Levenshtein by default; optionally counts an adjacent transposition as one edit
+ * (optimal string alignment, the usual "Damerau-Levenshtein" for spell checking) and prices
+ * substitutions with a custom cost function.
+ */
+export class EditDistance {
+  /**
+   * @param {string} query - Normalized query
+   * @param {number} maxDistance - Largest distance still reported
+   * @param {Object} [options] - Distance options
+   * @param {boolean} [options.transpositions=false] - Count "teh" -> "the" as one edit instead of two
+   * @param {Function} [options.substitutionCost] - `(queryChar, wordChar) => cost` for replacing one
+   *   character with another, e.g. lower for keyboard neighbours. Must not be negative; equal
+   *   characters always cost 0.
+   */
+  constructor(query, maxDistance, { transpositions = false, substitutionCost = null } = {}) {
+    this.chars = [...query];
+    this.maxDistance = maxDistance;
+    this.transpositions = transpositions;
+    this.substitutionCost = substitutionCost;
+  }
+
+  /**
+   * State for the empty path: reaching query position i takes i insertions.
+   * @returns {{row: number[], previousRow: (number[]|null), ch: (string|null)}}
+   */
+  initial() {
+    return { row: [...Array(this.chars.length + 1).keys()], previousRow: null, ch: null };
+  }
+
+  /**
+   * Extend the path by one character.
+   * @param {Object} state - State for the path so far
+   * @param {string} ch - Next character on the path (one code point)
+   * @returns {Object} - State for the longer path
+   */
+  step(state, ch) {
+    const { chars } = this;
+    const lastRow = state.row;
+    const row = [lastRow[0] + 1];
+    for (let i = 1; i <= chars.length; i++) {
+      const expected = chars[i - 1];
+      const replaceCost = expected === ch ? 0 : this.substitutionCost ? this.substitutionCost(expected, ch) : 1;
+      let cost = Math.min(row[i - 1] + 1, lastRow[i] + 1, lastRow[i - 1] + replaceCost);
+      if (this.transpositions && state.previousRow && i > 1 && expected === state.ch && chars[i - 2] === ch && expected !== ch) {
+        cost = Math.min(cost, state.previousRow[i - 2] + 1);
+      }
+      row.push(cost);
+    }
+    return { row, previousRow: lastRow, ch };
+  }
+
+  /**
+   * @param {Object} state - State for a path
+   * @returns {number} - Distance between the query and the whole path
+   */
+  distance(state) {
+    return state.row[this.chars.length];
+  }
+
+  /**
+   * Row minimums never decrease, so once they (and, with transpositions, the row a swap could
+   * reach back to) exceed the limit, no longer path can match either.
+   * @param {Object} state - State for a path
+   * @returns {boolean} - True if the subtree below this path can be skipped
+   */
+  isDead(state) {
+    if (Math.min(...state.row) <= this.maxDistance) return false;
+    return !this.transpositions || !state.previousRow || Math.min(...state.previousRow) + 1 > this.maxDistance;
+  }
+}
+
+/**
+ * Order fuzzy matches for "did you mean": closest first, then higher score, then alphabetically.
+ * @param {Array<{distance: number, score: number, path: string}>} matches - Collected matches
+ * @param {number} [limit] - Keep only this many
+ * @returns {Array} - The sorted (and trimmed) matches
+ */
+export function rankMatches(matches, limit) {
+  matches.sort((a, b) =>
+    a.distance - b.distance ||
+    b.score - a.score ||
+    (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  if (limit !== undefined) {
+    matches.length = Math.min(matches.length, Math.max(0, limit));
+  }
+  return matches;
+}
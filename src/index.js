@@ -4,9 +4,21 @@
  */
 
 import Trie from "./trie.js";
+import { normalizers } from "./normalize.js";
+import WorkerTrie from "./workerTrie.js";
+import FrozenTrie from "./frozenTrie.js";
+import DocumentIndex, { defaultTokenizer } from "./documentIndex.js";
+import SuffixTrie from "./suffixTrie.js";
+import { AbortError, WorkerError, WorkerTimeoutError, WorkerLoadError } from "./errors.js";
 
 /**
  * @namespace TrieSearchPlus
  */
 export { Trie };   // named export
+export { WorkerTrie };
+export { FrozenTrie };
+export { DocumentIndex, defaultTokenizer };
+export { SuffixTrie };
+export { normalizers };
+export { AbortError, WorkerError, WorkerTimeoutError, WorkerLoadError };
 export default Trie; // optional: also keep default export if you want
\ No newline at end of file
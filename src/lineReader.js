@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Incremental reading for insertFrom(): turns a Node readable stream, a web
+ * ReadableStream or any iterable of text chunks into batches of lines, so a word list is never
+ * held in memory whole.
+ */
+import { AbortError } from './errors.js';
+
+/**
+ * Read a source chunk by chunk and yield its entries in batches of `chunkSize`.
+ * Text chunks (strings, or bytes decoded as UTF-8) are split into lines, which may span chunks;
+ * `\r\n` endings and a leading byte order mark are handled, and blank lines are skipped. Any
+ * other item, such as a `{ key, value, score }` entry from an object-mode stream, is one entry.
+ * @param {AsyncIterable|Iterable|ReadableStream|string} source - Where to read from
+ * @param {Object} [options] - Reading options
+ * @param {number} [options.chunkSize=100000] - Entries per batch; must be a positive integer
+ * @param {Function} [options.parse] - Turns a line into a word or entry; null, undefined or '' skips it
+ * @param {AbortSignal} [options.signal] - Stops reading at the next chunk with an AbortError
+ * @yields {{batch: Array, lines: number, bytes: number}} - A batch, with the lines (or entries)
+ *   and bytes read so far. The last batch is yielded even when empty, so it always carries the totals.
+ */
+export async function* readBatches(source, { chunkSize = 100000, parse = skipBlank, signal } = {}) {
+  checkChunkSize(chunkSize);
+  const decoder = new TextDecoder();
+  let batch = [];
+  let pending = '';
+  let lines = 0;
+  let bytes = 0;
+  let first = true;
+
+  const add = line => {
+    lines++;
+    const entry = parse(line.endsWith('\r') ? line.slice(0, -1) : line);
+    if (entry !== null && entry !== undefined && entry !== '') batch.push(entry);
+  };
+
+  throwIfAborted(signal);
+  for await (const chunk of chunksOf(source)) {
+    throwIfAborted(signal);
+    if (typeof chunk === 'string' || ArrayBuffer.isView(chunk) || chunk instanceof ArrayBuffer) {
+      let text;
+      if (typeof chunk === 'string') {
+        bytes += utf8Length(chunk);
+        // TextDecoder drops the byte order mark of byte input itself
+        text = first ? chunk.replace(/^\uFEFF/, '') : chunk;
+      } else {
+        bytes += chunk.byteLength;
+        text = decoder.decode(chunk, { stream: true });
+      }
+      first = false;
+      const parts = (pending + text).split('\n');
+      pending = parts.pop();
+      parts.forEach(add);
+    } else if (chunk !== null && chunk !== undefined) {
+      lines++;
+      batch.push(chunk);
+    }
+
+    while (batch.length >= chunkSize) {
+      yield { batch: batch.splice(0, chunkSize), lines, bytes };
+    }
+  }
+
+  pending += decoder.decode();
+  if (pending !== '') add(pending);
+  while (batch.length > chunkSize) {
+    yield { batch: batch.splice(0, chunkSize), lines, bytes };
+  }
+  yield { batch, lines, bytes };
+}
+
+/**
+ * Reject a batch size that would never fill a batch or never empty one.
+ * @param {number} chunkSize - Entries per batch
+ * @throws {RangeError} - If `chunkSize` is not a positive integer
+ */
+export function checkChunkSize(chunkSize) {
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new RangeError(`chunkSize must be a positive integer, got ${chunkSize}`);
+  }
+}
+
+function skipBlank(line) {
+  return line.trim() === '' ? null : line;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw new AbortError();
+}
+
+// The chunks of any supported source; web streams are read through their reader, since not
+// every browser makes them async iterable, and cancelled if reading stops early
+async function* chunksOf(source) {
+  if (typeof source === 'string') {
+    yield source;
+  } else if (source && (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function')) {
+    yield* source;
+  } else if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    let done = false;
+    try {
+      while (!done) {
+        const result = await reader.read();
+        done = result.done;
+        if (!done) yield result.value;
+      }
+    } finally {
+      if (!done) await reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  } else {
+    throw new TypeError('insertFrom expects a readable stream, a ReadableStream or an (async) iterable');
+  }
+}
+
+// UTF-8 size of a string without encoding it
+function utf8Length(text) {
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      length += 1;
+    } else if (code < 0x800) {
+      length += 2;
+    } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      // A surrogate pair is one four-byte character
+      length += 4;
+      i++;
+    } else {
+      length += 3;
+    }
+  }
+  return length;
+}
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Pluggable logging. Nothing is logged unless a logger is passed, for example
+ * `new Trie({ logger: console })`.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const ignore = () => {};
+
+/**
+ * Fill in a console-like logger: levels it does not implement, or all of them when no logger
+ * is given, do nothing.
+ * @param {{debug: Function, info: Function, warn: Function, error: Function}} [logger] - Any
+ *   object with some of these methods, such as `console` or a pino/winston logger
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - A complete logger
+ */
+export function createLogger(logger) {
+  const complete = {};
+  for (const level of LEVELS) {
+    complete[level] = logger && typeof logger[level] === 'function' ? logger[level].bind(logger) : ignore;
+  }
+  return complete;
+}
@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Node worker_threads entry point. Same protocol as worker.js,
+ * spoken over `parentPort` instead of the browser worker global.
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { handleWorkerMessage } from './worker.js';
+
+parentPort.on('message', (data) => {
+    handleWorkerMessage(data, (response, transfer) => parentPort.postMessage(response, transfer));
+});
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Key normalizers for case- and accent-insensitive tries.
+ * A normalizer maps a word to the key it is stored and looked up under.
+ */
+
+/**
+ * Built-in normalizers, selectable by name through `new Trie({ normalize })`.
+ * @type {Object.<string, function(string): string>}
+ */
+export const normalizers = {
+  // "CAFÉ" -> "café"
+  caseInsensitive: (word) => word.toLowerCase(),
+  // "Café" -> "Cafe": decompose, drop combining marks, recompose what is left
+  accentInsensitive: (word) => word.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC'),
+  // Canonical composition: "é" -> "é"
+  nfc: (word) => word.normalize('NFC'),
+  // Compatibility composition: "ﬁ" -> "fi", "①" -> "1"
+  nfkc: (word) => word.normalize('NFKC'),
+};
+
+/**
+ * Builds a normalizer from a preset name, a custom function, or an array of those
+ * applied left to right.
+ * @param {string|Function|Array<string|Function>} [spec] - Normalizer specification
+ * @returns {Function|null} - The normalizer, or null when keys are used as-is
+ */
+export function createNormalizer(spec) {
+  if (spec === undefined || spec === null || spec === false) return null;
+
+  if (Array.isArray(spec)) {
+    const steps = spec.map(createNormalizer).filter(Boolean);
+    if (steps.length === 0) return null;
+    if (steps.length === 1) return steps[0];
+    return (word) => steps.reduce((result, step) => step(result), word);
+  }
+
+  if (typeof spec === 'function') return spec;
+
+  if (typeof spec === 'string' && Object.prototype.hasOwnProperty.call(normalizers, spec)) {
+    return normalizers[spec];
+  }
+
+  throw new Error(`Unknown normalize option: ${String(spec)}. Expected one of ${Object.keys(normalizers).join(', ')} or a function.`);
+}
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Packed form of a trie's node graph, for handing a worker-built chunk to the
+ * main thread. The worker packs its nodes into typed arrays, whose buffers are transferred
+ * rather than copied. The main thread adopts the packed root as a PackedNode, which decodes
+ * its children only when something reads them. Adopting a chunk into an empty trie therefore
+ * decodes nothing but the root, and merging one only decodes the nodes along paths both tries
+ * share; every other branch is hung into the trie still packed.
+ *
+ * Layout for N nodes (node 0 is the root, then breadth-first, so the target of edge e is
+ * node e + 1):
+ *
+ *   ends       Uint8Array(N)       1 if a word ends at the node
+ *   scores     Float64Array(N)     score of the word ending at the node
+ *   maxScores  Float64Array(N)     highest score in the node's subtree
+ *   counts     Uint32Array(N)      number of words in the node's subtree
+ *   edgeStart  Uint32Array(N + 1)  edges of node n are edgeStart[n] .. edgeStart[n + 1] - 1
+ *   labelEnds  Uint32Array(N - 1)  edge e's label ends at labelEnds[e] in `labels`, and
+ *                                  starts where the previous edge's label ends
+ *   labels     string              every edge label, concatenated
+ *   values     Map<number, *>      values attached to words, by node
+ *   words      Map<number, string> display forms, by node
+ */
+
+import TrieNode from './trieNode.js';
+
+/**
+ * Pack a node graph (either layout) into typed arrays.
+ * @param {TrieNode} root - Root node
+ * @returns {Object} - Packed trie, to be sent with packedBuffers() as its transfer list
+ */
+export function packTrie(root) {
+  const order = [root];
+  for (let i = 0; i < order.length; i++) {
+    for (const child of Object.values(order[i].children)) order.push(child);
+  }
+
+  const size = order.length;
+  const packed = {
+    ends: new Uint8Array(size),
+    scores: new Float64Array(size),
+    maxScores: new Float64Array(size),
+    counts: new Uint32Array(size),
+    edgeStart: new Uint32Array(size + 1),
+    labelEnds: new Uint32Array(size - 1),
+    labels: '',
+    values: new Map(),
+    words: new Map()
+  };
+  const labels = [];
+  let edge = 0;
+  let length = 0;
+  order.forEach((node, id) => {
+    packed.ends[id] = node.isEndOfWord ? 1 : 0;
+    packed.scores[id] = node.score;
+    packed.maxScores[id] = node.maxScore;
+    packed.counts[id] = node.count;
+    if (node.value !== undefined) packed.values.set(id, node.value);
+    if (node.word !== undefined) packed.words.set(id, node.word);
+    packed.edgeStart[id] = edge;
+    for (const label of Object.keys(node.children)) {
+      labels.push(label);
+      length += label.length;
+      packed.labelEnds[edge++] = length;
+    }
+  });
+  packed.edgeStart[size] = edge;
+  packed.labels = labels.join('');
+  return packed;
+}
+
+/**
+ * Buffers of a packed trie, for the transfer list of postMessage.
+ * @param {Object} packed - Packed trie from packTrie()
+ * @returns {ArrayBuffer[]} - Its typed arrays' buffers
+ */
+export function packedBuffers(packed) {
+  return [packed.ends, packed.scores, packed.maxScores, packed.counts, packed.edgeStart, packed.labelEnds]
+    .map(array => array.buffer);
+}
+
+/**
+ * Adopt a packed trie without decoding it: the returned root decodes its children on first use,
+ * and so on down the graph.
+ * @param {Object} packed - Packed trie from packTrie()
+ * @returns {TrieNode} - Root node
+ */
+export function unpackTrie(packed) {
+  return new PackedNode(packed, 0);
+}
+
+// A node of a packed trie whose children are decoded the first time they are read. From then
+// on (or once they are replaced) they are an ordinary own property, and the node behaves like
+// any TrieNode; copy-on-write clones read the children too, so they see the decoded ones.
+class PackedNode extends TrieNode {
+  constructor(packed, id) {
+    super();
+    this.packed = packed;
+    this.id = id;
+    this.isEndOfWord = packed.ends[id] === 1;
+    this.score = packed.scores[id];
+    this.maxScore = packed.maxScores[id];
+    this.count = packed.counts[id];
+    this.value = packed.values.get(id);
+    this.word = packed.words.get(id);
+  }
+
+  get children() {
+    const { packed, id } = this;
+    const children = {};
+    for (let edge = packed.edgeStart[id]; edge < packed.edgeStart[id + 1]; edge++) {
+      const start = edge === 0 ? 0 : packed.labelEnds[edge - 1];
+      children[packed.labels.slice(start, packed.labelEnds[edge])] = new PackedNode(packed, edge + 1);
+    }
+    this.children = children;
+    return children;
+  }
+
+  // TrieNode's constructor assigns an empty children object before the node is bound to its
+  // packed data; that one is ignored, so the packed children stay undecoded until first read
+  set children(children) {
+    if (this.packed === undefined) return;
+    Object.defineProperty(this, 'children', { value: children, writable: true, enumerable: true, configurable: true });
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Compiles glob and regex-subset patterns into an NFA that can be stepped one
+ * character at a time alongside a trie walk, so branches are dropped as soon as no pattern
+ * state survives.
+ *
+ * glob:          *  any run of characters     ?  one character
+ *                [abc] [a-z] [!a-z] [^a-z]    \  escapes the next character
+ * regex-subset:  .  one character             *  +  ?  repeat the previous item
+ *                a|b  (grouping)              [abc] [a-z] [^a-z]  \d \w \s
+ *                \  escapes the next character
+ *
+ * Patterns always match whole words, as if anchored with ^...$.
+ */
+
+const SYNTAXES = ['glob', 'regex-subset'];
+
+const isDigit = (code) => code >= 48 && code <= 57;
+const isWordChar = (code) => isDigit(code) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122) || code === 95;
+const isSpace = (code) => /\s/u.test(String.fromCodePoint(code));
+
+const ANY = { type: 'char', test: () => true };
+
+// Recursive-descent parser over the pattern's code points
+class PatternParser {
+  constructor(pattern, syntax, normalize) {
+    this.chars = [...pattern];
+    this.pos = 0;
+    this.syntax = syntax;
+    this.normalize = normalize;
+  }
+
+  error(message, at = this.pos) {
+    return new Error(`Invalid ${this.syntax} pattern at position ${at}: ${message}`);
+  }
+
+  peek() {
+    return this.chars[this.pos];
+  }
+
+  next() {
+    return this.chars[this.pos++];
+  }
+
+  done() {
+    return this.pos >= this.chars.length;
+  }
+
+  // A literal character as stored in the trie: normalization may turn it into several characters or none
+  literal(ch) {
+    const key = this.normalize ? this.normalize(ch) : ch;
+    const items = [...key].map(c => {
+      const code = c.codePointAt(0);
+      return { type: 'char', test: (other) => other === code };
+    });
+    return items.length === 1 ? items[0] : { type: 'seq', items };
+  }
+
+  // Class members are single characters, so only keep a normalized form that still is one
+  classCode(ch) {
+    const key = this.normalize ? this.normalize(ch) : ch;
+    return ([...key].length === 1 ? key : ch).codePointAt(0);
+  }
+
+  parse() {
+    const node = this.syntax === 'glob' ? this.parseGlob() : this.parseAlternation();
+    if (!this.done()) {
+      throw this.error(`unexpected '${this.peek()}'`);
+    }
+    return node;
+  }
+
+  parseGlob() {
+    const items = [];
+    while (!this.done()) {
+      const ch = this.next();
+      if (ch === '*') items.push({ type: 'star', node: ANY });
+      else if (ch === '?') items.push(ANY);
+      else if (ch === '[') items.push(this.parseClass());
+      else if (ch === '\\') items.push(this.literal(this.escaped()));
+      else items.push(this.literal(ch));
+    }
+    return { type: 'seq', items };
+  }
+
+  parseAlternation() {
+    const options = [this.parseSequence()];
+    while (this.peek() === '|') {
+      this.next();
+      options.push(this.parseSequence());
+    }
+    return options.length === 1 ? options[0] : { type: 'alt', options };
+  }
+
+  parseSequence() {
+    const items = [];
+    while (!this.done() && this.peek() !== '|' && this.peek() !== ')') {
+      let node = this.parseAtom();
+      while (this.peek() === '*' || this.peek() === '+' || this.peek() === '?') {
+        const op = this.next();
+        node = { type: op === '*' ? 'star' : op === '+' ? 'plus' : 'optional', node };
+      }
+      items.push(node);
+    }
+    return { type: 'seq', items };
+  }
+
+  parseAtom() {
+    const ch = this.next();
+    switch (ch) {
+      case '(': {
+        const node = this.parseAlternation();
+        if (this.next() !== ')') throw this.error("missing ')'");
+        return node;
+      }
+      case '[':
+        return this.parseClass();
+      case '.':
+        return ANY;
+      case '\\': {
+        const escaped = this.escaped();
+        if (escaped === 'd') return { type: 'char', test: isDigit };
+        if (escaped === 'w') return { type: 'char', test: isWordChar };
+        if (escaped === 's') return { type: 'char', test: isSpace };
+        return this.literal(escaped);
+      }
+      case '*':
+      case '+':
+      case '?':
+        throw this.error(`nothing to repeat before '${ch}'`, this.pos - 1);
+      case '{':
+      case '}':
+      case '^':
+      case '$':
+        throw this.error(`'${ch}' is not supported; escape it to match it literally`, this.pos - 1);
+      default:
+        return this.literal(ch);
+    }
+  }
+
+  escaped() {
+    if (this.done()) throw this.error('pattern ends with an escape');
+    return this.next();
+  }
+
+  // Called after '['; a ']' right after the opening bracket (or its negation) is literal
+  parseClass() {
+    let negate = false;
+    if (this.peek() === '^' || (this.syntax === 'glob' && this.peek() === '!')) {
+      this.next();
+      negate = true;
+    }
+
+    const ranges = [];
+    let first = true;
+    while (this.peek() !== ']' || first) {
+      if (this.done()) throw this.error("unterminated character class, missing ']'");
+      first = false;
+      let ch = this.next();
+      if (ch === '\\') ch = this.escaped();
+      const low = this.classCode(ch);
+      if (this.peek() === '-' && this.chars[this.pos + 1] !== undefined && this.chars[this.pos + 1] !== ']') {
+        this.next();
+        let end = this.next();
+        if (end === '\\') end = this.escaped();
+        const high = this.classCode(end);
+        if (high < low) throw this.error(`range ${ch}-${end} is out of order`);
+        ranges.push([low, high]);
+      } else {
+        ranges.push([low, low]);
+      }
+    }
+    this.next();
+
+    return {
+      type: 'char',
+      test: (code) => ranges.some(([low, high]) => code >= low && code <= high) !== negate
+    };
+  }
+}
+
+/**
+ * A compiled pattern. Sets of NFA states are plain arrays of state ids; an empty set means
+ * no word continuing the current path can match.
+ */
+class PatternMatcher {
+  constructor(ast) {
+    // Each state either consumes one character (`test`) or is an epsilon fork (`test` null)
+    this.states = [{ test: null, out: [] }];
+    this.accept = 0;
+    this.initial = this.closure([this.compile(ast, this.accept)]);
+  }
+
+  addState(test, out) {
+    this.states.push({ test, out });
+    return this.states.length - 1;
+  }
+
+  // Thompson construction, built back to front: returns the entry state for `node` followed by `next`
+  compile(node, next) {
+    switch (node.type) {
+      case 'char':
+        return this.addState(node.test, [next]);
+      case 'seq':
+        return node.items.reduceRight((after, item) => this.compile(item, after), next);
+      case 'alt':
+        return this.addState(null, node.options.map(option => this.compile(option, next)));
+      case 'optional':
+        return this.addState(null, [this.compile(node.node, next), next]);
+      case 'star':
+      case 'plus': {
+        const loop = this.addState(null, []);
+        const body = this.compile(node.node, loop);
+        this.states[loop].out = [body, next];
+        return node.type === 'star' ? loop : body;
+      }
+      default:
+        throw new Error(`Unknown pattern node: ${node.type}`);
+    }
+  }
+
+  // Follow epsilon edges, keeping the consuming states and the accept state
+  closure(ids) {
+    const seen = new Set();
+    const result = [];
+    const stack = [...ids];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const state = this.states[id];
+      if (state.test || id === this.accept) result.push(id);
+      if (!state.test) stack.push(...state.out);
+    }
+    return result;
+  }
+
+  /**
+   * Advance a state set by one character.
+   * @param {number[]} states - Current state set
+   * @param {string} ch - Next character (one code point)
+   * @returns {number[]} - Next state set, empty when nothing can match any more
+   */
+  step(states, ch) {
+    const code = ch.codePointAt(0);
+    const next = [];
+    for (const id of states) {
+      const state = this.states[id];
+      if (state.test && state.test(code)) next.push(...state.out);
+    }
+    return next.length > 0 ? this.closure(next) : next;
+  }
+
+  /**
+   * @param {number[]} states - State set after the whole word
+   * @returns {boolean} - True if the word matches the pattern
+   */
+  matches(states) {
+    return states.includes(this.accept);
+  }
+}
+
+/**
+ * Compile a pattern for `patternSearch`.
+ * @param {string} pattern - Pattern source
+ * @param {Object} [options] - Compile options
+ * @param {string} [options.syntax='glob'] - 'glob' or 'regex-subset'
+ * @param {Function|null} [options.normalize] - Trie normalizer, applied to literal characters
+ * @returns {PatternMatcher} - Matcher to step through a trie walk
+ */
+export function compilePattern(pattern, { syntax = 'glob', normalize = null } = {}) {
+  if (typeof pattern !== 'string') {
+    throw new TypeError('Pattern must be a string');
+  }
+  if (!SYNTAXES.includes(syntax)) {
+    throw new Error(`Unknown pattern syntax: ${String(syntax)}. Expected one of ${SYNTAXES.join(', ')}.`);
+  }
+  return new PatternMatcher(new PatternParser(pattern, syntax, normalize).parse());
+}
@@ -0,0 +1,66 @@
+/**
+ * A binary heap that always pops the item ranked first by its comparator.
+ * Used for best-first traversals of the trie.
+ */
+class PriorityQueue {
+    /**
+     * Creates a new PriorityQueue instance.
+     * @param {Function} compare - Returns a negative number when `a` should be popped before `b`
+     */
+    constructor(compare) {
+      this.compare = compare;
+      this.items = [];
+    }
+
+    /**
+     * Number of queued items.
+     * @type {number}
+     */
+    get size() {
+      return this.items.length;
+    }
+
+    /**
+     * Adds an item to the queue.
+     * @param {*} item - Item to add
+     */
+    push(item) {
+      const items = this.items;
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (this.compare(items[i], items[parent]) >= 0) break;
+        [items[i], items[parent]] = [items[parent], items[i]];
+        i = parent;
+      }
+    }
+
+    /**
+     * Removes and returns the first-ranked item.
+     * @returns {*} - The item, or undefined if the queue is empty
+     */
+    pop() {
+      const items = this.items;
+      if (items.length === 0) return undefined;
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < items.length && this.compare(items[left], items[first]) < 0) first = left;
+          if (right < items.length && this.compare(items[right], items[first]) < 0) first = right;
+          if (first === i) break;
+          [items[i], items[first]] = [items[first], items[i]];
+          i = first;
+        }
+      }
+      return top;
+    }
+  }
+
+export default PriorityQueue;
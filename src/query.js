@@ -0,0 +1,29 @@
+/**
+ * @fileoverview The type-ahead query shared by the React and Angular adapters.
+ */
+
+/**
+ * Run one autocomplete query against any trie flavour. Trie and FrozenTrie answer
+ * synchronously; WorkerTrie answers with a promise and uses `signal` to drop stale queries.
+ * @param {Trie|FrozenTrie|WorkerTrie} trie - Trie to query
+ * @param {string} query - Typed text
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit] - Return only the best `limit` completions
+ * @param {boolean|number} [options.fuzzy=false] - Tolerate typos: true for one edit, or a maximum edit distance
+ * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+ * @param {AbortSignal} [options.signal] - Cancels a worker query
+ * @returns {Promise<Array>} - Completions
+ */
+export async function queryTrie(trie, query, { limit, fuzzy = false, withValues = false, signal } = {}) {
+  if (fuzzy) {
+    const maxDistance = fuzzy === true ? 1 : fuzzy;
+    return trie.fuzzyAutocomplete(query, { maxDistance, limit, withValues, signal });
+  }
+  return trie.autocomplete(query, { limit, withValues, signal });
+}
+
+/**
+ * Change events after which a query's results may differ.
+ * @type {string[]}
+ */
+export const CHANGE_EVENTS = ['insert', 'delete', 'clear'];
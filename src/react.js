@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react';
+import { queryTrie, CHANGE_EVENTS } from './query.js';
+
+const IDLE = { results: [], loading: false, error: null };
+
+/**
+ * React hook for type-ahead over a Trie, FrozenTrie or WorkerTrie.
+ *
+ * Queries are debounced, and a query made stale by the next keystroke is cancelled (aborted
+ * in the worker for a WorkerTrie) so its results never overwrite newer ones. Previous results
+ * stay in place while the next ones load, and a Trie's change events re-run the query.
+ * Pass `null` as the trie while it is still being built; the hook reports `loading` until it arrives.
+ *
+ * @param {Trie|FrozenTrie|WorkerTrie|null} trie - Trie to query
+ * @param {string} query - Typed text; an empty query has no results
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.debounce=150] - Milliseconds to wait after the last keystroke
+ * @param {number} [options.limit] - Return only the best `limit` completions
+ * @param {boolean|number} [options.fuzzy=false] - Tolerate typos: true for one edit, or a maximum edit distance
+ * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+ * @returns {{results: Array, loading: boolean, error: (Error|null)}} - Current results and status
+ */
+export function useTrieAutocomplete(trie, query, options = {}) {
+  const { debounce = 150, limit, fuzzy = false, withValues = false } = options;
+  const [state, setState] = useState(IDLE);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!trie || typeof trie.on !== 'function') return undefined;
+    const bump = () => setVersion(current => current + 1);
+    const removers = CHANGE_EVENTS.map(type => trie.on(type, bump));
+    return () => removers.forEach(remove => remove());
+  }, [trie]);
+
+  useEffect(() => {
+    if (!trie) {
+      setState(current => (current.loading ? current : { ...current, loading: true }));
+      return undefined;
+    }
+    if (!query) {
+      setState(IDLE);
+      return undefined;
+    }
+
+    let active = true;
+    const controller = new AbortController();
+    setState(current => (current.loading ? current : { ...current, loading: true }));
+    const timer = setTimeout(() => {
+      queryTrie(trie, query, { limit, fuzzy, withValues, signal: controller.signal }).then(
+        results => {
+          if (active) setState({ results, loading: false, error: null });
+        },
+        error => {
+          if (active) setState(current => ({ results: current.results, loading: false, error }));
+        }
+      );
+    }, debounce);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [trie, query, debounce, limit, fuzzy, withValues, version]);
+
+  return state;
+}
+
+export default useTrieAutocomplete;
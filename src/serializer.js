@@ -0,0 +1,374 @@
+/**
+ * @fileoverview JSON and binary snapshot formats for trie node graphs.
+ *
+ * Binary layout (all integers little-endian, "varint" = unsigned LEB128):
+ *
+ *   magic    4 bytes  "TSPT"
+ *   version  u8       SNAPSHOT_VERSION
+ *   layout   u8       bit 0 set for compact (radix) tries, other bits reserved
+ *   nodes    u32      number of nodes that follow
+ *   root     node     nodes in pre-order, children directly after their parent
+ *   crc32    u32      checksum of every byte before it
+ *
+ *   node     flags u8, child count varint, then
+ *            score     varint (or float64 when FLAG_FLOAT_SCORE) if FLAG_END
+ *            value     varint length + UTF-8 JSON               if FLAG_VALUE
+ *            word      varint length + UTF-8                    if FLAG_WORD
+ *            children  varint length + UTF-8 edge label, then the child node
+ */
+
+import TrieNode from './trieNode.js';
+
+export const SNAPSHOT_VERSION = 1;
+export const JSON_FORMAT = 'trie-search-plus';
+
+const MAGIC = [0x54, 0x53, 0x50, 0x54]; // "TSPT"
+const HEADER_SIZE = 10;
+
+const FLAG_END = 1;
+const FLAG_VALUE = 2;
+const FLAG_WORD = 4;
+const FLAG_FLOAT_SCORE = 8;
+
+const LAYOUT_COMPACT = 1;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Standard CRC-32 (IEEE) checksum.
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {number} [end=bytes.length] - Stop before this offset
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(bytes, end = bytes.length) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Recompute the subtree score bound and word count of a freshly restored node from its children
+function finishNode(node) {
+  let max = node.isEndOfWord ? node.score : 0;
+  let count = node.isEndOfWord ? 1 : 0;
+  for (const child of Object.values(node.children)) {
+    if (child.maxScore > max) max = child.maxScore;
+    count += child.count;
+  }
+  node.maxScore = max;
+  node.count = count;
+  return node;
+}
+
+/**
+ * Converts a node graph into a plain JSON-compatible object.
+ * @param {TrieNode} root - Root node
+ * @param {Object} [options] - Snapshot options
+ * @param {boolean} [options.compact=false] - Whether the graph uses radix (multi-character) edges
+ * @returns {Object} - Snapshot object
+ */
+export function trieToJSON(root, { compact = false } = {}) {
+  // An explicit stack rather than recursion, so a very long key cannot overflow the call stack.
+  // Each child's object is linked in as its parent is visited, which keeps labels in order.
+  const rootJSON = {};
+  const stack = [[root, rootJSON]];
+  while (stack.length > 0) {
+    const [node, json] = stack.pop();
+    if (node.isEndOfWord) {
+      json.e = 1;
+      json.s = node.score;
+      if (node.value !== undefined) json.v = node.value;
+      if (node.word !== undefined) json.w = node.word;
+    }
+    const labels = Object.keys(node.children);
+    if (labels.length > 0) {
+      json.c = {};
+      for (const label of labels) {
+        json.c[label] = {};
+        stack.push([node.children[label], json.c[label]]);
+      }
+    }
+  }
+
+  const snapshot = { format: JSON_FORMAT, version: SNAPSHOT_VERSION, root: rootJSON };
+  if (compact) snapshot.compact = true;
+  return snapshot;
+}
+
+/**
+ * Rebuilds a node graph from an object produced by `trieToJSON`.
+ * @param {Object} snapshot - Snapshot object
+ * @returns {{root: TrieNode, compact: boolean}} - Root node and storage layout
+ */
+export function trieFromJSON(snapshot) {
+  if (!snapshot || snapshot.format !== JSON_FORMAT || typeof snapshot.root !== 'object') {
+    throw new Error('Invalid trie snapshot: expected an object produced by trie.toJSON()');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported trie snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  // Built top-down with an explicit stack; the counts and score bounds are then finished in
+  // reverse visiting order, so every child is finished before its parent
+  const root = new TrieNode();
+  const visited = [];
+  const stack = [[snapshot.root, root]];
+  while (stack.length > 0) {
+    const [json, node] = stack.pop();
+    visited.push(node);
+    if (json.e) {
+      node.isEndOfWord = true;
+      node.score = typeof json.s === 'number' ? json.s : 1;
+      if ('v' in json) node.value = json.v;
+      if (typeof json.w === 'string') node.word = json.w;
+    }
+    if (json.c) {
+      for (const [label, child] of Object.entries(json.c)) {
+        node.children[label] = new TrieNode();
+        stack.push([child, node.children[label]]);
+      }
+    }
+  }
+  for (let i = visited.length - 1; i >= 0; i--) finishNode(visited[i]);
+
+  return { root, compact: snapshot.compact === true };
+}
+
+// Growable byte buffer for the encoder
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + extra) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  u32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  f64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value, true);
+    this.length += 8;
+  }
+
+  varint(value) {
+    this.reserve(5);
+    while (value > 0x7f) {
+      this.bytes[this.length++] = (value & 0x7f) | 0x80;
+      value >>>= 7;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  bytesWithLength(data) {
+    this.varint(data.length);
+    this.reserve(data.length);
+    this.bytes.set(data, this.length);
+    this.length += data.length;
+  }
+}
+
+// Cursor over a snapshot buffer for the decoder
+class ByteReader {
+  constructor(bytes, end) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+    this.end = end;
+  }
+
+  need(count) {
+    if (this.offset + count > this.end) {
+      throw new Error('Invalid trie snapshot: unexpected end of data');
+    }
+  }
+
+  u8() {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+
+  u32() {
+    this.need(4);
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  f64() {
+    this.need(8);
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  varint() {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (shift > 28) throw new Error('Invalid trie snapshot: malformed length');
+      byte = this.u8();
+      result += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  bytesWithLength() {
+    const length = this.varint();
+    this.need(length);
+    const data = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return data;
+  }
+}
+
+/**
+ * Encodes a node graph into the versioned binary snapshot format.
+ * Values are stored as JSON, so they must be JSON-serializable.
+ * @param {TrieNode} root - Root node
+ * @param {Object} [options] - Snapshot options
+ * @param {boolean} [options.compact=false] - Whether the graph uses radix (multi-character) edges
+ * @returns {Uint8Array} - Snapshot bytes
+ */
+export function encodeTrie(root, { compact = false } = {}) {
+  const encoder = new TextEncoder();
+  const writer = new ByteWriter();
+  MAGIC.forEach(byte => writer.u8(byte));
+  writer.u8(SNAPSHOT_VERSION);
+  writer.u8(compact ? LAYOUT_COMPACT : 0);
+  writer.u32(0); // node count, patched below
+  let nodeCount = 0;
+
+  // Nodes are written in pre-order from an explicit stack, so a very long key cannot overflow
+  // the call stack; each entry is an edge label (none for the root) and the node below it
+  const stack = [[undefined, root]];
+  while (stack.length > 0) {
+    const [edge, node] = stack.pop();
+    if (edge !== undefined) writer.bytesWithLength(encoder.encode(edge));
+    nodeCount++;
+    const labels = Object.keys(node.children);
+    const integerScore = Number.isInteger(node.score) && node.score >= 0 && node.score <= 0xffffffff;
+    let flags = 0;
+    if (node.isEndOfWord) {
+      flags |= FLAG_END;
+      if (!integerScore) flags |= FLAG_FLOAT_SCORE;
+      if (node.value !== undefined) flags |= FLAG_VALUE;
+      if (node.word !== undefined) flags |= FLAG_WORD;
+    }
+    writer.u8(flags);
+    writer.varint(labels.length);
+
+    if (flags & FLAG_END) {
+      if (integerScore) writer.varint(node.score);
+      else writer.f64(node.score);
+    }
+    if (flags & FLAG_VALUE) writer.bytesWithLength(encoder.encode(JSON.stringify(node.value)));
+    if (flags & FLAG_WORD) writer.bytesWithLength(encoder.encode(node.word));
+
+    // Pushed in reverse so the children come off the stack in label order
+    for (let i = labels.length - 1; i >= 0; i--) {
+      stack.push([labels[i], node.children[labels[i]]]);
+    }
+  }
+
+  writer.view.setUint32(6, nodeCount, true);
+  writer.u32(crc32(writer.bytes, writer.length));
+  return writer.bytes.slice(0, writer.length);
+}
+
+/**
+ * Decodes a binary snapshot produced by `encodeTrie`, verifying its version and checksum.
+ * @param {Uint8Array|ArrayBuffer} input - Snapshot bytes
+ * @returns {{root: TrieNode, compact: boolean}} - Root node and storage layout
+ */
+export function decodeTrie(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (bytes.length < HEADER_SIZE + 4 || MAGIC.some((byte, i) => bytes[i] !== byte)) {
+    throw new Error('Invalid trie snapshot: missing TSPT header');
+  }
+  if (bytes[4] !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported trie snapshot version ${bytes[4]} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  const bodyEnd = bytes.length - 4;
+  const expected = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(bodyEnd, true);
+  if (crc32(bytes, bodyEnd) !== expected) {
+    throw new Error('Invalid trie snapshot: checksum mismatch');
+  }
+
+  const decoder = new TextDecoder();
+  const reader = new ByteReader(bytes, bodyEnd);
+  reader.offset = 6;
+  const nodeCount = reader.u32();
+  reader.offset = HEADER_SIZE;
+  let decoded = 0;
+
+  // A node's own fields and its child count; the children follow it in pre-order
+  const readNode = () => {
+    decoded++;
+    const node = new TrieNode();
+    const flags = reader.u8();
+    const childCount = reader.varint();
+    if (flags & FLAG_END) {
+      node.isEndOfWord = true;
+      node.score = flags & FLAG_FLOAT_SCORE ? reader.f64() : reader.varint();
+    }
+    if (flags & FLAG_VALUE) node.value = JSON.parse(decoder.decode(reader.bytesWithLength()));
+    if (flags & FLAG_WORD) node.word = decoder.decode(reader.bytesWithLength());
+    return { node, remaining: childCount };
+  };
+
+  // The nodes still reading children, innermost last, kept on an explicit stack so a very long key
+  // cannot overflow the call stack. A node is finished once its last child has been.
+  const top = readNode();
+  const root = top.node;
+  const stack = [top];
+  while (stack.length > 0) {
+    const parent = stack[stack.length - 1];
+    if (parent.remaining === 0) {
+      finishNode(parent.node);
+      stack.pop();
+      continue;
+    }
+    parent.remaining--;
+    const label = decoder.decode(reader.bytesWithLength());
+    const child = readNode();
+    parent.node.children[label] = child.node;
+    stack.push(child);
+  }
+  if (decoded !== nodeCount || reader.offset !== bodyEnd) {
+    throw new Error('Invalid trie snapshot: node count does not match the header');
+  }
+  return { root, compact: (bytes[5] & LAYOUT_COMPACT) !== 0 };
+}
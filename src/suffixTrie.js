@@ -0,0 +1,194 @@
+import Trie from './trie.js';
+import { createNormalizer } from './normalize.js';
+
+/**
+ * A generalized suffix trie: every suffix of every word is indexed with a back-reference to
+ * the word, so a fragment can be found anywhere inside a word ("1234" in "AB-1234-X"),
+ * not only at its start.
+ *
+ * A word of length L adds up to L fragments, so memory can be bounded with
+ * `minFragmentLength` (suffixes shorter than it are skipped) and `maxFragmentLength`
+ * (suffixes are cut to that length, and longer queries are checked against the full word).
+ */
+export class SuffixTrie {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.minFragmentLength=1] - Shortest fragment that is indexed and can be queried
+     * @param {number} [options.maxFragmentLength=Infinity] - Longest fragment that is indexed
+     * @param {string|Function|Array<string|Function>} [options.normalize] - Key normalization, as for Trie
+     * @param {boolean} [options.compact=true] - Store the fragments in the compact (radix) layout
+     */
+    constructor(options = {}) {
+      const { minFragmentLength = 1, maxFragmentLength = Infinity, normalize, compact = true } = options;
+      if (!(minFragmentLength >= 1) || !(maxFragmentLength >= minFragmentLength)) {
+        throw new RangeError('Expected 1 <= minFragmentLength <= maxFragmentLength');
+      }
+      this.minFragmentLength = minFragmentLength;
+      this.maxFragmentLength = maxFragmentLength;
+      this.normalizer = createNormalizer(normalize);
+      // Fragments are already normalized, so the inner trie stores them as-is;
+      // each fragment's value is the set of ids of the words it occurs in
+      this.fragments = new Trie({ compact });
+      // id -> { word, key, value }, and key -> id
+      this.words = new Map();
+      this.ids = new Map();
+      this.nextId = 0;
+    }
+
+    _normalize(word) {
+      return this.normalizer ? this.normalizer(word) : word;
+    }
+
+    // Distinct indexed fragments of a normalized key: its suffixes, cut to maxFragmentLength
+    _fragmentsOf(key) {
+      const chars = [...key];
+      const fragments = new Set();
+      for (let i = 0; i + this.minFragmentLength <= chars.length; i++) {
+        fragments.add(chars.slice(i, i + this.maxFragmentLength).join(''));
+      }
+      return fragments;
+    }
+
+    /**
+     * Insert a word (optionally with a value) or an array of words / `{ key, value }` entries.
+     * Re-inserting a word replaces its value and display form.
+     * @param {string|Array<string|{key: string, value: *}>} input - Word(s) to insert
+     * @param {*} [value] - Value for a single word
+     * @returns {Promise} - Resolves when insertion is complete
+     */
+    async insert(input, value) {
+      if (Array.isArray(input)) {
+        for (const item of input) {
+          if (typeof item === 'string') this._insert(item);
+          else if (item && typeof item.key === 'string') this._insert(item.key, item.value);
+        }
+      } else {
+        this._insert(input, value);
+      }
+    }
+
+    _insert(word, value) {
+      if (word.length === 0) return;
+      const key = this._normalize(word);
+      const existing = this.ids.get(key);
+      if (existing !== undefined) {
+        const entry = this.words.get(existing);
+        entry.word = word;
+        if (value !== undefined) entry.value = value;
+        return;
+      }
+
+      const id = this.nextId++;
+      this.ids.set(key, id);
+      this.words.set(id, { word, key, value });
+      for (const fragment of this._fragmentsOf(key)) {
+        const ids = this.fragments.get(fragment) || new Set();
+        ids.add(id);
+        this.fragments._insertWord(fragment, ids);
+      }
+    }
+
+    /**
+     * Remove a word and every fragment that only it referenced.
+     * @param {string} word - Word to remove
+     * @returns {boolean} - True if the word was in the trie
+     */
+    delete(word) {
+      const key = this._normalize(word);
+      const id = this.ids.get(key);
+      if (id === undefined) return false;
+      this.ids.delete(key);
+      this.words.delete(id);
+
+      for (const fragment of this._fragmentsOf(key)) {
+        const ids = this.fragments.get(fragment);
+        ids.delete(id);
+        if (ids.size === 0) this.fragments.delete(fragment);
+      }
+      return true;
+    }
+
+    // Search for an exact word
+    search(word) {
+      return this.ids.has(this._normalize(word));
+    }
+
+    /**
+     * Check whether a word is stored.
+     * @param {string} key - Word to look up
+     * @returns {boolean} - True if the word was inserted and not deleted
+     */
+    has(key) {
+      return this.search(key);
+    }
+
+    /**
+     * Get the value attached to a word.
+     * @param {string} key - Word to look up
+     * @returns {*} - The stored value, or undefined
+     */
+    get(key) {
+      const id = this.ids.get(this._normalize(key));
+      return id === undefined ? undefined : this.words.get(id).value;
+    }
+
+    // Ids of the words containing a normalized fragment, in insertion order
+    _idsContaining(fragment) {
+      if ([...fragment].length < this.minFragmentLength) return [];
+      const lookup = [...fragment].slice(0, this.maxFragmentLength).join('');
+      const truncated = lookup.length < fragment.length;
+
+      const ids = new Set();
+      for (const { value } of this.fragments.autocomplete(lookup, { withValues: true })) {
+        value.forEach(id => ids.add(id));
+      }
+      const sorted = [...ids].sort((a, b) => a - b);
+      // Only the first maxFragmentLength characters were indexed, so check the rest against the word
+      return truncated ? sorted.filter(id => this.words.get(id).key.includes(fragment)) : sorted;
+    }
+
+    _results(ids, { withValues = false, limit } = {}) {
+      if (limit !== undefined) ids = ids.slice(0, Math.max(0, limit));
+      return ids.map(id => {
+        const { word, value } = this.words.get(id);
+        return withValues ? { word, value } : word;
+      });
+    }
+
+    /**
+     * Find words containing a fragment anywhere. Fragments shorter than minFragmentLength
+     * are not indexed and return no results.
+     * @param {string} fragment - Text to look for
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.withValues=false] - Return { word, value } entries
+     * @param {number} [options.limit] - Return at most this many words
+     * @returns {Array<string|{word: string, value: *}>} - Matching words in insertion order
+     */
+    contains(fragment, options = {}) {
+      return this._results(this._idsContaining(this._normalize(fragment)), options);
+    }
+
+    /**
+     * Find words ending with a suffix. Suffixes shorter than minFragmentLength return no results.
+     * @param {string} suffix - Ending to look for
+     * @param {Object} [options] - Search options, as for contains()
+     * @returns {Array<string|{word: string, value: *}>} - Matching words in insertion order
+     */
+    endsWith(suffix, options = {}) {
+      const key = this._normalize(suffix);
+      const ids = this._idsContaining(key).filter(id => this.words.get(id).key.endsWith(key));
+      return this._results(ids, options);
+    }
+
+    // Count words in trie
+    countWords() {
+      return this.words.size;
+    }
+
+    // List all words, in insertion order
+    listWords() {
+      return [...this.words.values()].map(entry => entry.word);
+    }
+  }
+
+export default SuffixTrie;
@@ -1,404 +1,2099 @@
 import TrieNode from './trieNode.js';
+import PriorityQueue from './priorityQueue.js';
+import { createNormalizer } from './normalize.js';
+import { trieToJSON, trieFromJSON, encodeTrie, decodeTrie } from './serializer.js';
+import { unpackTrie } from './packedTrie.js';
+import WorkerClient from './workerClient.js';
+import FrozenTrie from './frozenTrie.js';
+import { compilePattern } from './pattern.js';
+import { EditDistance, rankMatches } from './fuzzy.js';
+import { createKeyComparator } from './compare.js';
+import AhoCorasick from './ahoCorasick.js';
+import { readBatches, checkChunkSize } from './lineReader.js';
+import { createLogger } from './logger.js';
+import { AbortError, WorkerError } from './errors.js';
+
+// Best-first ordering: higher score first, a finished word before a subtree with the same
+// bound, then shorter/alphabetical paths so ties come out in a stable order
+const compareCandidates = (a, b) =>
+  b.priority - a.priority ||
+  b.isWord - a.isWord ||
+  (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+// The first `limit` items of an iterable, or all of them
+const take = (iterable, limit) => {
+  const results = [];
+  if (limit !== undefined && limit <= 0) return results;
+  for (const item of iterable) {
+    results.push(item);
+    if (results.length === limit) break;
+  }
+  return results;
+};
+
+// Units that text is normalized in for scan(): one code point, or with a normalizer a
+// character together with its combining marks, so accents can fold into their base
+const CODE_POINT = /./gsu;
+const CLUSTER = /\P{M}\p{M}*|\p{M}+/gu;
+
+// First character (code point) of a string
+const firstChar = (str) => String.fromCodePoint(str.codePointAt(0));
+
+// Length in code units of the longest common prefix, never splitting a surrogate pair
+const commonPrefixLength = (a, b) => {
+  let i = 0;
+  while (i < a.length && i < b.length) {
+    const code = a.codePointAt(i);
+    if (code !== b.codePointAt(i)) break;
+    i += code > 0xffff ? 2 : 1;
+  }
+  return i;
+};
+
+const EVENT_TYPES = ['insert', 'delete', 'clear', 'progress'];
+
+// Whether a live query's new results differ from the ones it last delivered
+const sameResults = (a, b) =>
+  a.length === b.length && a.every((item, i) =>
+    typeof item === 'string' ? item === b[i] : item.word === b[i].word && item.value === b[i].value);
+
+// Whether two version roots hold the same trie: a change that found nothing to do leaves
+// behind a copy of the root that still shares every child
+const sameVersion = (a, b) => {
+  if (a === b) return true;
+  if (a.isEndOfWord !== b.isEndOfWord || a.score !== b.score || a.value !== b.value || a.word !== b.word) return false;
+  const labels = Object.keys(a.children);
+  return labels.length === Object.keys(b.children).length && labels.every(label => a.children[label] === b.children[label]);
+};
+
+// Normalization steps as a list, so two tries' key spaces can be compared
+const normalizeSteps = (spec) =>
+  (Array.isArray(spec) ? spec : [spec]).filter(step => step !== undefined && step !== null && step !== false);
 
 /**
  * A Trie data structure implementation.
  * Used for efficient string searching, prefix matching, and auto-completion features.
  */
 export class Trie {
-    constructor() {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string|Function|Array<string|Function>} [options.normalize] - Key normalization applied on
+     *   insert and in every query: a preset name ('caseInsensitive', 'accentInsensitive', 'nfc', 'nfkc'),
+     *   a custom `word => key` function, or an array of those applied in order
+     * @param {boolean} [options.compact=false] - Store single-child chains as one multi-character
+     *   edge (a radix tree). Uses far fewer nodes for large dictionaries; the API is unchanged.
+     * @param {Intl.Collator} [options.collator] - Orders characters for sorted results and range
+     *   queries (any object with a `compare(a, b)` method). Defaults to code point order.
+     * @param {Object} [options.logger] - Console-like logger (`debug`, `info`, `warn`, `error`) for
+     *   batch and worker progress, fallbacks and listener failures. Silent by default; pass `console` to see them.
+     * @param {boolean|Object} [options.history=false] - Keep earlier versions for undo(), redo(), checkpoint(),
+     *   restore() and diff(). Versions share every unchanged node, so each change only costs the nodes it copies.
+     * @param {number} [options.history.limit=100] - Changes that undo() can step back through
+     */
+    constructor(options = {}) {
+      this.compact = Boolean(options.compact);
+      this.normalizeSpec = options.normalize;
+      this.normalizer = createNormalizer(options.normalize);
+      this.collator = options.collator;
+      this.logger = createLogger(options.logger);
+      this._compareKeys = createKeyComparator(options.collator);
       this.root = new TrieNode();
-      this.worker = null;
-      this.workerPromises = new Map();
-      this.promiseId = 0;
-      this.workerIdleTimeout = null;
-      this.WORKER_IDLE_TIME = 30000; // 30 seconds 
+      this.workerClient = new WorkerClient({ logger: options.logger });
+      // Aho-Corasick automaton for scan(), built on first use and dropped on every change
+      this.automaton = null;
+      // Event type -> Set of listeners, and the live queries registered with subscribe()
+      this.listeners = new Map();
+      this.subscriptions = new Set();
+      // Inside a transaction or in history mode: the nodes this version owns and may change in place (see _writable)
+      this.written = null;
+      // History mode: earlier versions (root nodes) to undo to, undone ones to redo, and named checkpoints
+      this.versions = options.history ? {
+        undo: [],
+        redo: [],
+        checkpoints: new Map(),
+        limit: options.history.limit ?? 100
+      } : null;
+      // Why writes are refused, while a transaction is open or after one has ended; null when allowed
+      this.writeLock = null;
+      // Transactions run one at a time, in the order they were started
+      this.transactions = Promise.resolve();
+      // Async inserts and deletes still changing this trie; a transaction waits for them (see _asyncChange)
+      this.pending = new Set();
     }
   
     /**
      * Insert words into the trie.
-     * For large arrays (>500000 items), automatically uses web worker.
-     * @param {string|string[]} input - Word(s) to insert
-     * @param {Object} options - Configuration options
-     * @param {boolean} options.useWorker - Force web worker usage
-     * @param {number} options.chunkSize - Items per batch (default: 100000)
-     * @param {Function} options.onProgress - Progress callback
-     * @returns {Promise} - Resolves when insertion is complete
-     */
-    async insert(input, options = {}) {
-      const {
-        useWorker = false,
-        chunkSize = 100000,
-        onProgress = null
-      } = options;
-
+     * For large arrays (>500000 items), automatically uses a web worker (worker_threads under Node).
+     * A single word can carry a value: `insert('apple', { id: 1 })`. Arrays may mix
+     * plain words and `{ key, value, score }` entries. Re-inserting a key replaces its value.
+     * Every insert without an explicit score bumps the word's score by one.
+     * @param {string|Array<string|{key: string, value: *, score: number}>} input - Word(s) or entries to insert
+     * @param {*|Object} [valueOrOptions] - Value for a single word, or options for an array
+     * @param {boolean} valueOrOptions.useWorker - Force web worker usage
+     * @param {number} valueOrOptions.chunkSize - Items per batch (default: 100000)
+     * @param {Function} valueOrOptions.onProgress - Progress callback
+     * @param {AbortSignal} valueOrOptions.signal - Stops sending chunks to the worker and terminates it;
+     *   chunks already merged stay in the trie
+     * @param {number} valueOrOptions.chunkTimeout - Milliseconds to wait for the worker per chunk, 0 for no
+     *   limit (default: 30000)
+     * @param {Object} [wordOptions] - Options for a single word
+     * @param {number} wordOptions.score - Explicit ranking score, replacing the insert count
+     * @returns {Promise} - Resolves when insertion is complete. An array insert rejects with an AbortError
+     *   when aborted; if the worker fails (WorkerError, WorkerLoadError, WorkerTimeoutError), arrays of up
+     *   to 500000 items finish on the main thread and larger ones reject with that error.
+     */
+    async insert(input, valueOrOptions, wordOptions = {}) {
       if (Array.isArray(input)) {
-        // Use worker for large datasets or when explicitly requested
-        if (useWorker || input.length > 500000) {
-          console.log(`Using web worker for ${input.length} words`);
-          return this._insertWithWorker(input, { chunkSize, onProgress });
-        } else {
-          console.log(`Using main thread for ${input.length} words`);
-          return this._insertBatch(input, onProgress);
+        this._beginChange('insert');
+        const {
+          useWorker = false,
+          chunkSize = 100000,
+          onProgress = null,
+          signal,
+          chunkTimeout
+        } = valueOrOptions || {};
+        if (signal && signal.aborted) throw new AbortError();
+
+        const finish = this._asyncChange();
+        try {
+          // Use worker for large datasets or when explicitly requested
+          let result;
+          if ((useWorker || input.length > 500000) && this._canUseWorker()) {
+            this.logger.debug(`Using web worker for ${input.length} words`);
+            result = await this._insertWithWorker(input, { chunkSize, onProgress, signal, chunkTimeout });
+          } else {
+            this.logger.debug(`Using main thread for ${input.length} words`);
+            result = await this._insertBatch(input, onProgress);
+          }
+          // One event for the whole array, however it was inserted
+          if (result.success) this._insertedItems(input);
+          return result;
+        } finally {
+          finish();
         }
       } else {
-        this._insert(input);
+        this._insertWord(input, valueOrOptions, wordOptions);
         return Promise.resolve();
       }
     }
 
-    async _insertWithWorker(words, { chunkSize, onProgress }) {
-      try {
-        if (!this.worker) {
-          console.log('Creating web worker...');
-          this.worker = await this._createWorker();
-        }
-
-        const chunks = this._chunkArray(words, chunkSize);
-        let processedCount = 0;
-        console.log(`Processing ${words.length} words in ${chunks.length} chunks`);
+    /**
+     * Internal entry point for the indexes built on a Trie (DocumentIndex, SuffixTrie), which
+     * update their inner trie synchronously. Inserts one word exactly as `insert(word, value, options)`
+     * does: it throws while a transaction is open, records a history step, normalizes the word and
+     * emits an insert event. Not part of the public API.
+     * @param {string} word - Word to insert
+     * @param {*} [value] - Value to attach
+     * @param {Object} [options] - Word options
+     * @param {number} [options.score] - Explicit ranking score, replacing the insert count
+     */
+    _insertWord(word, value, { score } = {}) {
+      this._beginChange('insert');
+      this._insert(word, value, { score });
+      if (this._observed('insert')) this._changed('insert', [this._normalize(word)], [word]);
+    }
 
-        for (let i = 0; i < chunks.length; i++) {
-          const chunk = chunks[i];
-          console.log(`Processing chunk ${i + 1}/${chunks.length} with ${chunk.length} words`);
-          const processedNodes = await this._sendToWorker({
-            words: chunk
-          });
+    /**
+     * Insert words read incrementally from a Node readable stream, a web ReadableStream or any
+     * (async) iterable, for word lists too large to hold in memory as one array.
+     * Text chunks (strings or UTF-8 bytes) are split into lines, one word per line, skipping blank
+     * lines; other items, such as `{ key, value, score }` entries from an object-mode stream, are
+     * inserted as they are. Every `chunkSize` entries go through the same batch pipeline as
+     * `insert(words)`, on the main thread or in a worker, so only one batch is held at a time.
+     * An `insert` event is emitted per batch.
+     * @param {AsyncIterable|Iterable|ReadableStream} source - Where to read the words from
+     * @param {Object} [options] - Streaming options
+     * @param {number} [options.chunkSize=100000] - Entries per batch; anything but a positive integer
+     *   rejects with a RangeError before reading starts
+     * @param {boolean} [options.useWorker=false] - Build each batch in a web worker
+     * @param {Function} [options.parse] - Turns a line into a word or entry; return null to skip the line
+     * @param {number} [options.totalBytes] - Size of the source, when known, for a percentage in progress reports
+     * @param {Function} [options.onProgress] - Called after each batch with { processed, lines, bytes },
+     *   plus `percentage` when `totalBytes` is given
+     * @param {AbortSignal} [options.signal] - Stops reading with an AbortError, terminating the worker if
+     *   one is building a batch; batches already inserted stay
+     * @param {number} [options.chunkTimeout=30000] - Milliseconds to wait for the worker per batch, 0 for no limit
+     * @returns {Promise<{success: boolean, processed: number, lines: number, bytes: number}>} - Entries
+     *   inserted, and the lines and bytes read
+     */
+    async insertFrom(source, options = {}) {
+      const { chunkSize = 100000, useWorker = false, parse, totalBytes, onProgress = null, signal, chunkTimeout } = options;
+      checkChunkSize(chunkSize);
+      this._beginChange('insertFrom');
+      const inWorker = useWorker && this._canUseWorker();
+      let processed = 0;
+      let read = { lines: 0, bytes: 0 };
 
-          // Merge the processed nodes back into main trie
-          this._mergeNodes(processedNodes);
-          this._scheduleWorkerCleanup();
-          processedCount += chunk.length;
-          
-          if (onProgress) {
-            onProgress({
-              processed: processedCount,
-              total: words.length,
-              percentage: Math.round((processedCount / words.length) * 100)
-            });
+      const finish = this._asyncChange();
+      try {
+        for await (read of readBatches(source, { chunkSize, parse, signal })) {
+          const { batch, lines, bytes } = read;
+          if (batch.length > 0) {
+            if (inWorker) {
+              const built = await this._buildChunkInWorker(batch, { signal, timeout: chunkTimeout }).catch(error => {
+                if (error instanceof AbortError) throw error;
+                this.logger.warn('Worker insertion failed, inserting the batch on the main thread:', error);
+                batch.forEach(item => this._insertItem(item));
+                return null;
+              });
+              // Merging changes the trie, so a failure from here on is not retried on the main thread
+              if (built) this._adoptChunk(built);
+            } else {
+              batch.forEach(item => this._insertItem(item));
+            }
+            processed += batch.length;
+            this._insertedItems(batch);
           }
-        }
-        console.log(`Worker processing complete: ${processedCount} words processed`);
 
-        return {
-          success: true,
-          processed: processedCount
-        };
-      } catch (error) {
-        console.error('Worker insertion failed:', error);
-        // Fallback to main thread for smaller datasets
-        this._scheduleWorkerCleanup();
-        if (words.length <= 500000) {
-          console.log('Falling back to main thread...');
-          return this._insertBatch(words, onProgress);
-        } else {
-          return {
-            success: false,
-            error: error.message
-          };
+          const progress = { processed, lines, bytes };
+          if (totalBytes > 0) progress.percentage = Math.min(100, Math.round((bytes / totalBytes) * 100));
+          this._progress(onProgress, progress);
         }
+      } catch (error) {
+        if (inWorker && error instanceof AbortError) this._stopWorker();
+        throw error;
+      } finally {
+        finish();
       }
+
+      return { success: true, processed, lines: read.lines, bytes: read.bytes };
     }
 
-    async _insertBatch(words, onProgress) {
-      console.log(`Inserting ${words.length} words on main thread`);
-      words.forEach(word => {
-        if (typeof word === 'string' && word.length > 0) {
-          this._insert(word);
-        }
+    // Mark an async mutator as still changing this trie until the returned function is called.
+    // A transaction started meanwhile waits for it: copying the root partway through would lose
+    // every chunk it adds to the old version afterwards.
+    _asyncChange() {
+      let finish;
+      const settled = new Promise(resolve => {
+        finish = resolve;
       });
+      this.pending.add(settled);
+      return () => {
+        this.pending.delete(settled);
+        finish();
+      };
+    }
+
+    // Announce a batch of inserted words or entries as one insert event
+    _insertedItems(items) {
+      if (!this._observed('insert')) return;
+      const words = items
+        .map(item => (typeof item === 'string' ? item : item && item.key))
+        .filter(word => typeof word === 'string' && word.length > 0);
+      this._changed('insert', words.map(word => this._normalize(word)), words);
+    }
 
-      if (onProgress) {
-        onProgress({
-          processed: words.length,
+    // The worker rebuilds the trie's normalizer from its presets, which a custom function cannot travel as
+    _canUseWorker() {
+      const specs = Array.isArray(this.normalizeSpec) ? this.normalizeSpec : [this.normalizeSpec];
+      return specs.every(spec => typeof spec !== 'function');
+    }
+
+    async _insertWithWorker(words, { chunkSize, onProgress, signal, chunkTimeout }) {
+      const chunkCount = Math.ceil(words.length / chunkSize);
+      let processedCount = 0;
+      this.logger.debug(`Processing ${words.length} words in ${chunkCount} chunks`);
+
+      let i = 0;
+      for (const chunk of this._chunks(words, chunkSize)) {
+        this.logger.debug(`Processing chunk ${++i}/${chunkCount} with ${chunk.length} words`);
+        let built;
+        try {
+          if (signal && signal.aborted) throw new AbortError();
+          built = await this._buildChunkInWorker(chunk, { signal, timeout: chunkTimeout });
+        } catch (error) {
+          if (error instanceof AbortError) {
+            this._stopWorker();
+            throw error;
+          }
+          // Smaller datasets finish the chunks the worker did not build on the main thread
+          if (words.length > 500000) throw error;
+          this.logger.warn('Worker insertion failed, falling back to main thread:', error);
+          return this._insertBatch(words, onProgress, processedCount);
+        }
+        // Merging changes the trie, so a failure from here on is not retried on the main thread
+        this._adoptChunk(built);
+        processedCount += chunk.length;
+
+        this._progress(onProgress, {
+          processed: processedCount,
           total: words.length,
-          percentage: 100
+          percentage: Math.round((processedCount / words.length) * 100)
         });
       }
+      this.logger.debug(`Worker processing complete: ${processedCount} words processed`);
 
-      return Promise.resolve({
+      return {
         success: true,
-        processed: words.length
-      });
+        processed: processedCount
+      };
     }
 
-    async _createWorker() {
-      // Try to create worker with correct path
-      let worker;
+    // Build one chunk in the worker, leaving this trie untouched. A failed, timed-out or aborted
+    // chunk terminates the worker, which may still be busy with it; the next chunk starts a fresh one.
+    async _buildChunkInWorker(chunk, { signal, timeout } = {}) {
       try {
-        // First try the direct path
-        worker = new Worker('./worker.js');
+        return await this.workerClient.send({
+          words: chunk,
+          normalize: this.normalizeSpec,
+          compact: this.compact
+        }, { signal, timeout });
       } catch (error) {
-        console.warn('Failed to load ./worker.js, trying alternative paths...');
-        try {
-          // Try relative to the HTML file
-          worker = new Worker('worker.js');
-        } catch (error2) {
-          throw new Error('Could not load worker.js. Make sure the file is in the correct location.');
+        this._stopWorker();
+        throw error;
+      }
+    }
+
+    // Bring the nodes of a worker-built chunk into this trie. They arrive packed and are only
+    // decoded where something reads them: adopting them into an empty trie decodes nothing,
+    // and a merge decodes the paths both tries share while hanging every other branch in packed.
+    _adoptChunk(built) {
+      const processedRoot = unpackTrie(built.packed);
+      if (this._isEmpty()) {
+        this.root = processedRoot;
+        this.automaton = null;
+      } else {
+        // Words given an explicit score keep it, as _insert would, instead of adding to the score here
+        const replaced = new Set();
+        for (const key of built.scored) {
+          const position = this._advance({ node: processedRoot, rest: '' }, key);
+          if (position && position.rest === '') replaced.add(position.node);
         }
+        this._mergeNodes(this.root, processedRoot, replaced);
       }
+      this.workerClient.scheduleCleanup();
+    }
 
-      console.log('Worker created successfully');
+    // Insert words[start..] on the main thread; progress counts the whole array
+    async _insertBatch(words, onProgress, start = 0) {
+      this.logger.debug(`Inserting ${words.length - start} words on main thread`);
+      for (let i = start; i < words.length; i++) {
+        this._insertItem(words[i]);
+      }
 
-      worker.onmessage = (e) => {
-        console.log('Main: Received message from worker', e.data);
-        const { id, success, result, error } = e.data;
-        const promise = this.workerPromises.get(id);
-        
-        if (promise) {
-          this.workerPromises.delete(id);
-          if (success) {
-            promise.resolve(result);
-          } else {
-            promise.reject(new Error(error));
-          }
-        }
-      };
+      this._progress(onProgress, {
+        processed: words.length,
+        total: words.length,
+        percentage: 100
+      });
 
-      worker.onerror = (error) => {
-        console.error('Worker error:', error);
-        // Reject all pending promises
-        this.workerPromises.forEach(promise => {
-          promise.reject(new Error('Worker error: ' + error.message));
-        });
-        this.workerPromises.clear();
-      };
+      return Promise.resolve({
+        success: true,
+        processed: words.length
+      });
+    }
 
-      return worker;
+    _isEmpty() {
+      return !this.root.isEndOfWord && Object.keys(this.root.children).length === 0;
     }
 
-    _sendToWorker(message) {
-      return new Promise((resolve, reject) => {
-        const id = ++this.promiseId;
-        this.workerPromises.set(id, { resolve, reject });
-        console.log(`Main: Sending message to worker with id ${id}`, {
-          wordsCount: message.words?.length
-        });
-        
-        this.worker.postMessage({
-          ...message,
-          id
-        });
+    // Fold a worker-built subtree into the trie. Branches missing here are adopted as-is;
+    // words present in both add their scores, just like repeated inserts would, except that
+    // the source nodes in `replaced` (words given an explicit score) replace the score.
+    // The walk keeps its own stack, so very long keys cannot overflow the call stack.
+    _mergeNodes(target, source, replaced = null) {
+      this.automaton = null;
+      // Nodes whose counts and score bounds need recomputing, each listed before anything below it
+      const touched = [];
+      // Entries are [target, source] for two nodes to merge, or [target, child, label] for a child
+      // edge to merge into a radix node
+      const stack = [[target, source]];
+      while (stack.length > 0) {
+        const [into, from, label] = stack.pop();
+        if (label !== undefined) {
+          // The incoming edge may share only part of an existing label, which is then split first
+          const existingLabel = this._edgeFor(into, label);
+          if (existingLabel === null) {
+            into.children[label] = from;
+            continue;
+          }
+          const common = commonPrefixLength(existingLabel, label);
+          const existing = common < existingLabel.length
+            ? this._splitEdge(into, existingLabel, common)
+            : this._writable(into, existingLabel);
+          if (common === label.length) {
+            stack.push([existing, from]);
+          } else {
+            touched.push(existing);
+            stack.push([existing, from, label.slice(common)]);
+          }
+          continue;
+        }
 
-        // Timeout after 30 seconds (reduced from 30000 seconds!)
-        setTimeout(() => {
-          if (this.workerPromises.has(id)) {
-            this.workerPromises.delete(id);
-            reject(new Error('Worker timeout'));
+        touched.push(into);
+        if (from.isEndOfWord) {
+          const kept = into.isEndOfWord && !(replaced && replaced.has(from)) ? into.score : 0;
+          into.score = kept + from.score;
+          into.isEndOfWord = true;
+          into.word = from.word;
+          if (from.value !== undefined) {
+            into.value = from.value;
           }
-        }, 30000);
-      });
+        }
+        for (const [childLabel, child] of Object.entries(from.children)) {
+          if (this.compact) {
+            stack.push([into, child, childLabel]);
+          } else if (into.children[childLabel]) {
+            stack.push([this._writable(into, childLabel), child]);
+          } else {
+            into.children[childLabel] = child;
+          }
+        }
+      }
+      for (let i = touched.length - 1; i >= 0; i--) {
+        this._recomputeSubtree(touched[i]);
+      }
     }
 
-    _mergeNodes(words) {
-      console.log(`Merging ${words.length} words from worker into main trie`);
-      words.forEach(word => this._insert(word));
+    // Recompute a node's score bound and word count from its children
+    _recomputeSubtree(node) {
+      let max = node.isEndOfWord ? node.score : 0;
+      let count = node.isEndOfWord ? 1 : 0;
+      for (const child of Object.values(node.children)) {
+        if (child.maxScore > max) max = child.maxScore;
+        count += child.count;
+      }
+      node.maxScore = max;
+      node.count = count;
     }
 
 
-    _chunkArray(array, chunkSize) {
-      const chunks = [];
+    // Slice one chunk at a time, so a huge array is never copied whole
+    *_chunks(array, chunkSize) {
       for (let i = 0; i < array.length; i += chunkSize) {
-        chunks.push(array.slice(i, i + chunkSize));
+        yield array.slice(i, i + chunkSize);
       }
-      return chunks;
     }
 
-    _scheduleWorkerCleanup() {
-      // Clear existing timeout
-      if (this.workerIdleTimeout) {
-        clearTimeout(this.workerIdleTimeout);
-      }
-      
-      // Schedule cleanup after idle period
-      this.workerIdleTimeout = setTimeout(() => {
-        this._cleanup();
-      }, this.WORKER_IDLE_TIME);
+    _cleanup() {
+      this.workerClient.terminate();
     }
 
+    // Stop the worker after one request failed or was cancelled. Other requests still waiting
+    // on it (another insert sharing the worker) did not ask for that: they reject with a
+    // WorkerError and fall back to the main thread like after any worker failure.
+    _stopWorker() {
+      this.workerClient.terminate(new WorkerError('The worker was stopped because another request on it failed or was cancelled'));
+    }
 
-    _cleanup() {
-      // console.log('Cleaning up web worker');
-      if (this.worker) {
-        this.worker.terminate();
-        this.worker = null;
+    // Insert a batch item: either a plain word or a { key, value, score } entry
+    _insertItem(item) {
+      if (typeof item === 'string') {
+        if (item.length > 0) this._insert(item);
+      } else if (item && typeof item.key === 'string' && item.key.length > 0) {
+        this._insert(item.key, item.value, { score: item.score });
       }
-      
-      if (this.workerIdleTimeout) {
-        clearTimeout(this.workerIdleTimeout);
-        this.workerIdleTimeout = null;
+    }
+
+    // Insert a single word, optionally attaching a value.
+    // An explicit score replaces the current one; otherwise the score grows by `increment`.
+    _insert(word, value, { score, increment = 1 } = {}) {
+      this.automaton = null;
+      const key = this._normalize(word);
+      const path = this.compact ? this._insertPathCompact(key) : this._insertPath(key);
+      const node = path[path.length - 1];
+      const previous = node.isEndOfWord ? node.score : 0;
+      if (!node.isEndOfWord) {
+        path.forEach(ancestor => ancestor.count++);
+      }
+      node.isEndOfWord = true;
+      node.score = score !== undefined ? score : previous + increment;
+      // Keep the latest display form when normalization changed the key
+      node.word = key !== word ? word : undefined;
+      if (value !== undefined) {
+        node.value = value;
+      }
+
+      if (node.score >= previous) {
+        this._raiseMaxScores(path, node.score);
+      } else {
+        this._refreshMaxScores(path);
       }
-      
-      this.workerPromises.clear();
     }
 
-    // Insert a single word
-    _insert(word) {
+    // Create any missing nodes for a key and return the nodes along its path
+    _insertPath(key) {
       let node = this.root;
-      for (const char of word) {
+      const path = [node];
+      for (const char of key) {
         if (!node.children[char]) {
-          node.children[char] = new TrieNode();
+          node.children[char] = this._node();
         }
-        node = node.children[char];
+        node = this._writable(node, char);
+        path.push(node);
       }
-      node.isEndOfWord = true;
+      return path;
     }
-  
-    // Search for an exact word
-    search(word) {
-        let node = this.root;
-        for (const char of word) {
-          if (!node.children[char]) {
-            return false;
-          }
-          node = node.children[char];
+
+    // Radix version of _insertPath: follows whole edge labels, splitting an edge where the
+    // key leaves it and hanging the rest of the key off as a single new edge
+    _insertPathCompact(key) {
+      let node = this.root;
+      const path = [node];
+      let rest = key;
+      while (rest.length > 0) {
+        const label = this._edgeFor(node, rest);
+        if (label === null) {
+          const leaf = this._node();
+          node.children[rest] = leaf;
+          path.push(leaf);
+          break;
         }
-        return node.isEndOfWord;
+        const common = commonPrefixLength(label, rest);
+        node = common < label.length ? this._splitEdge(node, label, common) : this._writable(node, label);
+        path.push(node);
+        rest = rest.slice(common);
       }
-  
-    // Delete a word
-    delete(word) {
-      const _deleteRecursively = (node, word, depth = 0) => {
-        if (!node) return false;
-  
-        if (depth === word.length) {
-          if (!node.isEndOfWord) return false;
-          node.isEndOfWord = false;
-  
-          return Object.keys(node.children).length === 0;
-        }
-  
-        const char = word[depth];
-        if (_deleteRecursively(node.children[char], word, depth + 1)) {
-          delete node.children[char];
-          return !node.isEndOfWord && Object.keys(node.children).length === 0;
+      return path;
+    }
+
+    // The child edge whose label starts with the same character as `rest` (compact mode)
+    _edgeFor(node, rest) {
+      const ch = firstChar(rest);
+      for (const label in node.children) {
+        if (label.startsWith(ch)) return label;
+      }
+      return null;
+    }
+
+    // Split an edge after `at` code units, returning the new node in the middle
+    _splitEdge(parent, label, at) {
+      const child = parent.children[label];
+      const middle = this._node();
+      delete parent.children[label];
+      parent.children[label.slice(0, at)] = middle;
+      middle.children[label.slice(at)] = child;
+      middle.maxScore = child.maxScore;
+      middle.count = child.count;
+      return middle;
+    }
+
+    // A new node, owned by the transaction being staged if there is one
+    _node() {
+      const node = new TrieNode();
+      if (this.written) this.written.add(node);
+      return node;
+    }
+
+    // The child under `label`, ready to be changed. Inside a transaction, a child still shared
+    // with the committed version is copied first and the copy linked in its place, so readers of
+    // the committed version never see the change. The parent must already be writable.
+    _writable(parent, label) {
+      const child = parent.children[label];
+      if (!this.written || this.written.has(child)) return child;
+      const copy = child.clone();
+      this.written.add(copy);
+      parent.children[label] = copy;
+      return copy;
+    }
+
+    // Make the nodes of a path found by _findPath writable, replacing them in `nodes`
+    _writablePath(nodes, labels) {
+      for (let i = 1; i < nodes.length; i++) {
+        nodes[i] = this._writable(nodes[i - 1], labels[i - 1]);
+      }
+      return nodes;
+    }
+
+    // Public mutators refuse to run while a transaction is staging changes to this trie,
+    // and on a transaction that has ended
+    _checkWritable() {
+      if (this.writeLock) throw new Error(this.writeLock);
+    }
+
+    // Called by every public mutator before it changes anything. In history mode the current
+    // version is kept for undo() and the change is made to a copy-on-write successor of it.
+    _beginChange(operation) {
+      this._checkWritable();
+      if (!this.versions) return;
+      this._pushVersion(operation);
+      this._seal();
+    }
+
+    // Record the current version as the one `operation` is about to replace
+    _pushVersion(operation) {
+      const { undo, limit } = this.versions;
+      this._dropUnchanged();
+      undo.push({ operation, root: this.root });
+      if (undo.length > limit) undo.shift();
+      this.versions.redo = [];
+    }
+
+    // Forget the last undo step if it changed nothing (e.g. deleting a missing word): its version
+    // and the current one then have the same children and word
+    _dropUnchanged() {
+      const { undo } = this.versions;
+      const last = undo[undo.length - 1];
+      if (last && sameVersion(last.root, this.root)) undo.pop();
+    }
+
+    // Keep the current version as it is: later writes, including those of a change still in
+    // progress, go to a copy of its root and copies of the nodes they touch
+    _seal() {
+      this.root = this.root.clone();
+      this.written = new WeakSet([this.root]);
+    }
+
+    // Propagate a higher word score up the path; stops at the first ancestor already bounding it
+    _raiseMaxScores(path, score) {
+      for (let i = path.length - 1; i >= 0; i--) {
+        if (path[i].maxScore >= score) break;
+        path[i].maxScore = score;
+      }
+    }
+
+    // Recompute subtree bounds bottom-up after a score dropped or a word was removed
+    _refreshMaxScores(path) {
+      for (let i = path.length - 1; i >= 0; i--) {
+        const node = path[i];
+        let max = node.isEndOfWord ? node.score : 0;
+        for (const child of Object.values(node.children)) {
+          if (child.maxScore > max) max = child.maxScore;
         }
-        return false;
-      };
-  
-      _deleteRecursively(this.root, word);
+        if (node.maxScore === max) break;
+        node.maxScore = max;
+      }
     }
-  
-    // Prefix search
-    startsWith(prefix) {
+
+    // Map a word or query to the key it is stored under
+    _normalize(word) {
+      return this.normalizer ? this.normalizer(word) : word;
+    }
+
+    // Walk to the node for an already-normalized key, or null if the path does not exist
+    _findNode(key) {
+      if (this.compact) {
+        const path = this._findPath(key);
+        return path && path.nodes[path.nodes.length - 1];
+      }
       let node = this.root;
-      for (const char of prefix) {
-        if (!node.children[char]) return false;
+      for (const char of key) {
+        if (!node.children[char]) return null;
         node = node.children[char];
       }
-      return true;
+      return node;
     }
-  
-    // Autocomplete suggestions
-    autocomplete(prefix) {
+
+    // Nodes and edge labels from the root to the node for a key, or null if there is none
+    _findPath(key) {
+      const nodes = [this.root];
+      const labels = [];
+      let rest = key;
+      while (rest.length > 0) {
+        const node = nodes[nodes.length - 1];
+        const label = this.compact ? this._edgeFor(node, rest) : firstChar(rest);
+        if (label === null || !node.children[label] || !rest.startsWith(label)) return null;
+        nodes.push(node.children[label]);
+        labels.push(label);
+        rest = rest.slice(label.length);
+      }
+      return { nodes, labels };
+    }
+
+    // Find the subtree holding every key that starts with `prefix`. In compact mode the
+    // prefix may end partway along an edge, so the path of the returned node can be longer.
+    _locate(prefix) {
+      if (!this.compact) {
+        const node = this._findNode(prefix);
+        return node && { node, path: prefix };
+      }
       let node = this.root;
-      for (const char of prefix) {
-        if (!node.children[char]) return [];
-        node = node.children[char];
+      let path = '';
+      let rest = prefix;
+      while (rest.length > 0) {
+        const label = this._edgeFor(node, rest);
+        if (label === null) return null;
+        if (!rest.startsWith(label) && !label.startsWith(rest)) return null;
+        node = node.children[label];
+        path += label;
+        rest = rest.slice(Math.min(label.length, rest.length));
       }
-  
-      const results = [];
-  
-      const dfs = (currNode, path) => {
-        if (currNode.isEndOfWord) {
-          results.push(path);
-        }
-        for (const [ch, nextNode] of Object.entries(currNode.children)) {
-          dfs(nextNode, path + ch);
-        }
-      };
-  
-      dfs(node, prefix);
-      return results;
+      return { node, path };
+    }
+
+    // Shape a query result: the word as inserted, or a { word, value } entry
+    _result(path, node, withValues) {
+      const word = node.word !== undefined ? node.word : path;
+      return withValues ? { word, value: node.value } : word;
     }
   
-    // Fuzzy search (Levenshtein distance, max distance = 1 by default)
-    fuzzySearch(word, maxDistance = 1) {
-      const results = [];
-  
-      const dfs = (node, prefix, prevRow) => {
-        const columns = word.length + 1;
-        const currRow = [prevRow[0] + 1];
-  
-        for (let i = 1; i < columns; i++) {
-          const insertCost = currRow[i - 1] + 1;
-          const deleteCost = prevRow[i] + 1;
-          const replaceCost = prevRow[i - 1] + (word[i - 1] === prefix[prefix.length - 1] ? 0 : 1);
-          currRow.push(Math.min(insertCost, deleteCost, replaceCost));
-        }
-  
-        if (currRow[word.length] <= maxDistance && node.isEndOfWord) {
-          results.push(prefix);
-        }
+    // Search for an exact word
+    search(word) {
+        const node = this._findNode(this._normalize(word));
+        return node !== null && node.isEndOfWord;
+      }
+
+    /**
+     * Check whether a key is stored in the trie.
+     * @param {string} key - Key to look up
+     * @returns {boolean} - True if the key was inserted and not deleted
+     */
+    has(key) {
+      return this.search(key);
+    }
+
+    /**
+     * Get the value attached to a key.
+     * @param {string} key - Key to look up
+     * @returns {*} - The stored value, or undefined if the key is missing or has no value
+     */
+    get(key) {
+      const node = this._findNode(this._normalize(key));
+      return node !== null && node.isEndOfWord ? node.value : undefined;
+    }
   
-        if (Math.min(...currRow) <= maxDistance) {
-          for (const [ch, childNode] of Object.entries(node.children)) {
-            dfs(childNode, prefix + ch, currRow);
+    // Delete a word
+    delete(word) {
+      this._beginChange('delete');
+      const key = this._normalize(word);
+      const removed = this._delete(key);
+      if (removed !== undefined) this._changed('delete', [key], [removed]);
+    }
+
+    // Delete an already-normalized key; returns the removed word's display form, or undefined
+    _delete(key) {
+      const found = this._findPath(key);
+      if (!found) return undefined;
+      const { nodes: path, labels } = found;
+
+      if (!path[path.length - 1].isEndOfWord) return undefined;
+      this._writablePath(path, labels);
+      const node = path[path.length - 1];
+      const removed = this._result(key, node, false);
+      this.automaton = null;
+      path.forEach(ancestor => ancestor.count--);
+      node.isEndOfWord = false;
+      node.value = undefined;
+      node.word = undefined;
+      node.score = 0;
+      this._prune(path, labels);
+      return removed;
+    }
+
+    /**
+     * Delete many words, in chunks, with the same batching options as insert().
+     * @param {Array<string|{key: string}>} words - Words or entries to delete
+     * @param {Object} [options] - Batch options
+     * @param {number} [options.chunkSize=100000] - Words per chunk; control returns to the event loop between chunks
+     * @param {Function} [options.onProgress] - Called after each chunk with { processed, total, percentage }
+     * @returns {Promise<{success: boolean, processed: number, deleted: number}>} - How many
+     *   words were processed and how many of them were actually stored
+     */
+    async deleteMany(words, options = {}) {
+      this._beginChange('deleteMany');
+      const { chunkSize = 100000, onProgress = null } = options;
+      const keys = [];
+      const removed = [];
+      let processed = 0;
+
+      const finish = this._asyncChange();
+      try {
+        for (const chunk of this._chunks(words, chunkSize)) {
+          if (processed > 0) await new Promise(resolve => setTimeout(resolve, 0));
+          for (const item of chunk) {
+            const word = typeof item === 'string' ? item : item && item.key;
+            if (typeof word !== 'string') continue;
+            const key = this._normalize(word);
+            const display = this._delete(key);
+            if (display !== undefined) {
+              keys.push(key);
+              removed.push(display);
+            }
           }
+          processed += chunk.length;
+          this._progress(onProgress, {
+            processed,
+            total: words.length,
+            percentage: Math.round((processed / words.length) * 100)
+          });
         }
-      };
-  
-      for (const [ch, childNode] of Object.entries(this.root.children)) {
-        dfs(childNode, ch, [...Array(word.length + 1).keys()]);
+      } finally {
+        finish();
       }
-  
-      return results;
+
+      // One event for the whole call
+      if (removed.length > 0) this._changed('delete', keys, removed);
+      return { success: true, processed, deleted: removed.length };
     }
-  
-    // Wildcard search ('.' can match any character)
-    wildcardSearch(word) {
-      const results = [];
-  
-      const dfs = (node, i, path) => {
-        if (i === word.length) {
-          if (node.isEndOfWord) results.push(path);
-          return;
-        }
-  
-        const ch = word[i];
-        if (ch === ".") {
-          for (const [nextCh, childNode] of Object.entries(node.children)) {
-            dfs(childNode, i + 1, path + nextCh);
-          }
-        } else {
-          if (node.children[ch]) {
-            dfs(node.children[ch], i + 1, path + ch);
-          }
+
+    /**
+     * Delete every word starting with a prefix by cutting off its whole subtree.
+     * An empty prefix removes every word, reported as a delete event like any other prefix.
+     * @param {string} prefix - Prefix of the words to remove
+     * @returns {number} - Number of words removed
+     */
+    deletePrefix(prefix) {
+      this._beginChange('deletePrefix');
+      const key = this._normalize(prefix);
+      if (key.length === 0) {
+        const removed = this.root.count;
+        const words = this._observed('delete') ? [...this._walk(this.root, '')] : [];
+        this.root = this._node();
+        this.automaton = null;
+        if (removed > 0) {
+          this._changed('delete', words.map(([wordPath]) => wordPath), words.map(([wordPath, node]) => this._result(wordPath, node, false)));
         }
-      };
-  
-      dfs(this.root, 0, "");
-      return results;
+        return removed;
+      }
+
+      // Nodes and labels down to the subtree root; in compact mode the prefix may end partway
+      // along the last edge, which is then removed whole
+      const path = [this.root];
+      const labels = [];
+      let rest = key;
+      while (rest.length > 0) {
+        const node = path[path.length - 1];
+        const label = this.compact ? this._edgeFor(node, rest) : firstChar(rest);
+        if (label === null || !node.children[label]) return 0;
+        if (!rest.startsWith(label) && !label.startsWith(rest)) return 0;
+        path.push(node.children[label]);
+        labels.push(label);
+        rest = rest.slice(Math.min(label.length, rest.length));
+      }
+
+      const subtree = path.pop();
+      this._writablePath(path, labels);
+      const removed = subtree.count;
+      // Listing the removed words is only worth it when someone is told about them
+      const words = this._observed('delete') ? [...this._walk(subtree, labels.join(''))] : [];
+      delete path[path.length - 1].children[labels.pop()];
+      path.forEach(ancestor => {
+        ancestor.count -= removed;
+      });
+      this.automaton = null;
+      this._prune(path, labels);
+      if (removed > 0) {
+        this._changed('delete', words.map(([wordPath]) => wordPath), words.map(([wordPath, node]) => this._result(wordPath, node, false)));
+      }
+      return removed;
     }
-  
-    // Count words in trie
-    countWords() {
-      let count = 0;
-  
-      const dfs = (node) => {
-        if (node.isEndOfWord) count++;
-        for (const child of Object.values(node.children)) {
-          dfs(child);
+
+    /**
+     * Remove every word. Options such as normalization and layout are kept.
+     */
+    clear() {
+      this._beginChange('clear');
+      this.root = this._node();
+      this.automaton = null;
+      this._changed('clear');
+    }
+
+    /**
+     * Listen for changes. 'insert' and 'delete' events carry the affected words as `{ type, words }`
+     * and fire once per call, so inserting an array of 100k words fires one event, not 100k.
+     * 'clear' fires when the trie is emptied, and 'progress' repeats the onProgress updates of
+     * batch inserts and deletes.
+     * @param {string} type - 'insert', 'delete', 'clear' or 'progress'
+     * @param {Function} listener - Called with the event object
+     * @returns {Function} - Removes the listener again
+     */
+    on(type, listener) {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type: ${String(type)}. Expected one of ${EVENT_TYPES.join(', ')}.`);
+      }
+      if (typeof listener !== 'function') {
+        throw new TypeError('Listener must be a function');
+      }
+      if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+      this.listeners.get(type).add(listener);
+      return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a listener added with on().
+     * @param {string} type - Event type it was added for
+     * @param {Function} listener - The listener
+     */
+    off(type, listener) {
+      const listeners = this.listeners.get(type);
+      if (listeners) listeners.delete(listener);
+    }
+
+    /**
+     * Live query: call back with `autocomplete(prefix, options)` now, and again whenever a change
+     * to words under the prefix alters those results.
+     * @param {string} prefix - Prefix to watch
+     * @param {Function} callback - Called with the current results
+     * @param {Object} [options] - autocomplete() options, e.g. { limit: 10 }
+     * @returns {Function} - Ends the subscription
+     */
+    subscribe(prefix, callback, options = {}) {
+      if (typeof callback !== 'function') {
+        throw new TypeError('Callback must be a function');
+      }
+      let last = null;
+      const subscription = {
+        key: this._normalize(prefix),
+        refresh: () => {
+          const results = this.autocomplete(prefix, options);
+          if (last !== null && sameResults(last, results)) return;
+          last = results;
+          this._dispatch(callback, results);
         }
       };
-  
-      dfs(this.root);
-      return count;
+      this.subscriptions.add(subscription);
+      subscription.refresh();
+      return () => {
+        this.subscriptions.delete(subscription);
+      };
+    }
+
+    // Whether anyone would hear about a change of this type
+    _observed(type) {
+      const listeners = this.listeners.get(type);
+      return this.subscriptions.size > 0 || (listeners !== undefined && listeners.size > 0);
+    }
+
+    // Report a finished change: one event for listeners, and a refresh for every live query
+    // whose prefix covers one of the changed keys (all of them when `keys` is omitted)
+    _changed(type, keys, words) {
+      this._emit(type, words && { words });
+      for (const subscription of [...this.subscriptions]) {
+        if (!keys || keys.some(key => key.startsWith(subscription.key))) subscription.refresh();
+      }
+    }
+
+    _emit(type, detail) {
+      const listeners = this.listeners.get(type);
+      if (!listeners) return;
+      for (const listener of [...listeners]) {
+        this._dispatch(listener, { type, ...detail });
+      }
+    }
+
+    // A throwing listener must not break the change that triggered it, nor the other listeners
+    _dispatch(listener, argument) {
+      try {
+        listener(argument);
+      } catch (error) {
+        this.logger.error('Trie listener failed:', error);
+      }
+    }
+
+    _progress(onProgress, progress) {
+      if (onProgress) onProgress(progress);
+      this._emit('progress', progress);
+    }
+
+    // Tidy up the path to a removed word or subtree: drop nodes that no longer lead to any word,
+    // fold a radix node left with a single child into that child's edge, and fix score bounds
+    _prune(path, labels) {
+      while (path.length > 1) {
+        const last = path[path.length - 1];
+        if (last.isEndOfWord || Object.keys(last.children).length > 0) break;
+        path.pop();
+        delete path[path.length - 1].children[labels[path.length - 1]];
+      }
+
+      // A radix node left with no word and a single child is folded into that child's edge
+      if (this.compact && path.length > 1) {
+        const last = path[path.length - 1];
+        const childLabels = Object.keys(last.children);
+        if (!last.isEndOfWord && childLabels.length === 1) {
+          const parent = path[path.length - 2];
+          const label = labels[path.length - 2];
+          delete parent.children[label];
+          parent.children[label + childLabels[0]] = last.children[childLabels[0]];
+          path.pop();
+        }
+      }
+      this._refreshMaxScores(path);
+    }
+
+    /**
+     * Record that a word was picked (e.g. from a suggestion list), raising its rank.
+     * @param {string} word - Word that was selected
+     * @param {number} [amount=1] - How much to add to the word's score
+     * @returns {number|false} - The new score, or false if the word is not in the trie
+     */
+    recordSelection(word, amount = 1) {
+      this._beginChange('recordSelection');
+      const key = this._normalize(word);
+      const found = this._findPath(key);
+      if (!found) return false;
+      if (!found.nodes[found.nodes.length - 1].isEndOfWord) return false;
+      const path = this._writablePath(found.nodes, found.labels);
+
+      const node = path[path.length - 1];
+      node.score += amount;
+      if (amount >= 0) {
+        this._raiseMaxScores(path, node.score);
+      } else {
+        this._refreshMaxScores(path);
+      }
+      // Ranked live queries may reorder; there is no event for a score change
+      for (const subscription of [...this.subscriptions]) {
+        if (key.startsWith(subscription.key)) subscription.refresh();
+      }
+      return node.score;
     }
   
-    // List all words
-    listWords() {
+    // Prefix search
+    startsWith(prefix) {
+      return this._locate(this._normalize(prefix)) !== null;
+    }
+
+    /**
+     * The longest stored word that the text starts with, e.g. the most specific route for a URL.
+     * @param {string} text - Input to match against
+     * @param {Object} [options] - Query options
+     * @param {boolean} [options.withValues=false] - Return a { word, value } entry instead of a string
+     * @returns {string|{word: string, value: *}|undefined} - The word, or undefined if none matches
+     */
+    longestPrefixOf(text, options = {}) {
+      let longest;
+      for (const [path, node] of this._prefixNodes(this._normalize(text))) {
+        longest = this._result(path, node, options.withValues);
+      }
+      return longest;
+    }
+
+    /**
+     * Every stored word that the text starts with, shortest first.
+     * @param {string} text - Input to match against
+     * @param {Object} [options] - Query options
+     * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+     * @returns {Array<string|{word: string, value: *}>} - Matching words
+     */
+    prefixesOf(text, options = {}) {
+      const results = [];
+      for (const [path, node] of this._prefixNodes(this._normalize(text))) {
+        results.push(this._result(path, node, options.withValues));
+      }
+      return results;
+    }
+
+    // Yield [path, node] for each word along the path of an already-normalized key
+    *_prefixNodes(key) {
+      let node = this.root;
+      let path = '';
+      let rest = key;
+      for (;;) {
+        if (node.isEndOfWord) yield [path, node];
+        if (rest.length === 0) return;
+        const label = this.compact ? this._edgeFor(node, rest) : firstChar(rest);
+        if (label === null || !node.children[label] || !rest.startsWith(label)) return;
+        node = node.children[label];
+        path += label;
+        rest = rest.slice(label.length);
+      }
+    }
+
+    /**
+     * Find every occurrence of every stored word inside a text (Aho-Corasick), e.g. to check a
+     * paragraph against a blocklist. Runs in time linear in the text plus the number of matches;
+     * the automaton is built on the first scan after the trie changes.
+     * Overlapping occurrences are all reported, ordered by where they end (longer words first at
+     * the same end). `start` and `end` are offsets into the original text, so
+     * `text.slice(start, end)` is the matched passage even when normalization changed its length.
+     * @param {string} text - Text to scan
+     * @param {Object} [options] - Scan options
+     * @param {boolean} [options.withValues=false] - Include each word's value
+     * @returns {Array<{word: string, start: number, end: number, value: *}>} - Occurrences
+     */
+    scan(text, options = {}) {
+      const { withValues = false } = options;
+      if (!this.automaton) this.automaton = new AhoCorasick(this.root, { compact: this.compact });
+
+      const { chars, starts, ends } = this._normalizeText(text);
       const results = [];
+      for (const { path, node, first, last } of this.automaton.matches(chars)) {
+        const match = { word: this._result(path, node, false), start: starts[first], end: ends[last] };
+        if (withValues) match.value = node.value;
+        results.push(match);
+      }
+      return results;
+    }
+
+    // Normalize text piece by piece, remembering which stretch of the original each
+    // normalized character came from
+    _normalizeText(text) {
+      const chars = [];
+      const starts = [];
+      const ends = [];
+      for (const { 0: unit, index } of text.matchAll(this.normalizer ? CLUSTER : CODE_POINT)) {
+        for (const ch of this._normalize(unit)) {
+          chars.push(ch);
+          starts.push(index);
+          ends.push(index + unit.length);
+        }
+      }
+      return { chars, starts, ends };
+    }
   
-      const dfs = (node, path) => {
-        if (node.isEndOfWord) results.push(path);
-        for (const [ch, child] of Object.entries(node.children)) {
-          dfs(child, path + ch);
+    /**
+     * Autocomplete suggestions, in sorted order unless ranked.
+     * @param {string} prefix - Typed prefix
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+     * @param {number} [options.limit] - Without `after`: return only the `limit` highest-scoring
+     *   completions, best first. With `after`: the page size.
+     * @param {string|null} [options.after] - Cursor for pagination: return completions in sorted
+     *   order, starting after this word (the last word of the previous page; null for the first page)
+     * @returns {Array<string|{word: string, value: *}>} - Completions
+     */
+    autocomplete(prefix, options = {}) {
+      const { withValues = false, limit, after } = options;
+      if (after !== undefined) {
+        return take(this.autocompleteIter(prefix, { withValues, after }), limit);
+      }
+
+      if (limit !== undefined) {
+        const location = this._locate(this._normalize(prefix));
+        return location ? this._topCompletions(location.node, location.path, limit, withValues) : [];
+      }
+      return [...this.autocompleteIter(prefix, { withValues })];
+    }
+
+    /**
+     * Lazily yield completions of a prefix in sorted order, so a caller can stop early without
+     * the full list ever being built. Walks iteratively, so very long keys cannot overflow the stack.
+     * @param {string} prefix - Typed prefix
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.withValues=false] - Yield { word, value } entries instead of strings
+     * @param {string|null} [options.after] - Start after this word
+     * @returns {Generator<string|{word: string, value: *}>} - Completions
+     */
+    *autocompleteIter(prefix, options = {}) {
+      const { withValues = false, after } = options;
+      const location = this._locate(this._normalize(prefix));
+      if (!location) return;
+
+      const bounds = after === undefined || after === null ? undefined : { lower: this._normalize(after) };
+      for (const [path, node] of this._walk(location.node, location.path, { bounds })) {
+        yield this._result(path, node, withValues);
+      }
+    }
+
+    // Iterative walk yielding [path, node] for every word below `node`, in key order or, with
+    // `reverse`, descending key order. `bounds` ({ lower, lowerInclusive, upper, upperInclusive },
+    // all optional) limits the keys yielded and prunes subtrees that lie entirely outside them.
+    *_walk(node, path, { reverse = false, bounds } = {}) {
+      const stack = [[node, path, false]];
+      while (stack.length > 0) {
+        const [current, currentPath, expanded] = stack.pop();
+        // In descending order a word comes after every longer key below it
+        if (!reverse || expanded) {
+          if (current.isEndOfWord && (!bounds || this._inBounds(currentPath, bounds))) {
+            yield [currentPath, current];
+          }
+          if (expanded) continue;
+        }
+        if (reverse) stack.push([current, currentPath, true]);
+
+        const labels = Object.keys(current.children).sort(this._compareKeys);
+        if (!reverse) labels.reverse();
+        // Pushed so that the next key in order comes off the stack first
+        for (const label of labels) {
+          const childPath = currentPath + label;
+          if (!bounds || this._mayContain(childPath, bounds)) {
+            stack.push([current.children[label], childPath, false]);
+          }
+        }
+      }
+    }
+
+    _inBounds(key, { lower, lowerInclusive = false, upper, upperInclusive = false }) {
+      if (lower !== undefined) {
+        const order = this._compareKeys(key, lower);
+        if (order < 0 || (order === 0 && !lowerInclusive)) return false;
+      }
+      if (upper !== undefined) {
+        const order = this._compareKeys(key, upper);
+        if (order > 0 || (order === 0 && !upperInclusive)) return false;
+      }
+      return true;
+    }
+
+    // Whether any key starting with `path` can be within bounds. Keys are compared character
+    // by character, so a path that sorts before `lower` without being a prefix of it has no
+    // key at or after it, and a path past `upper` has none before it.
+    _mayContain(path, { lower, upper, upperInclusive = false }) {
+      if (lower !== undefined && this._compareKeys(path, lower) < 0 && !lower.startsWith(path)) {
+        return false;
+      }
+      if (upper !== undefined) {
+        const order = this._compareKeys(path, upper);
+        if (order > 0 || (order === 0 && !upperInclusive)) return false;
+      }
+      return true;
+    }
+
+    // Child entries of a node in key order
+    _children(node) {
+      return Object.keys(node.children)
+        .sort(this._compareKeys)
+        .map(label => [label, node.children[label]]);
+    }
+
+    // Best-first search ordered by score. Each subtree is queued under its maxScore bound, so
+    // it is only expanded once nothing queued can outrank it.
+    _topCompletions(node, prefix, limit, withValues) {
+      const results = [];
+      const queue = new PriorityQueue(compareCandidates);
+      queue.push({ node, path: prefix, isWord: false, priority: node.maxScore });
+
+      while (queue.size > 0 && results.length < limit) {
+        const { node: currNode, path, isWord } = queue.pop();
+        if (isWord) {
+          results.push(this._result(path, currNode, withValues));
+          continue;
+        }
+        if (currNode.isEndOfWord) {
+          queue.push({ node: currNode, path, isWord: true, priority: currNode.score });
+        }
+        for (const [ch, nextNode] of Object.entries(currNode.children)) {
+          queue.push({ node: nextNode, path: path + ch, isWord: false, priority: nextNode.maxScore });
+        }
+      }
+
+      return results;
+    }
+  
+    /**
+     * Find words within an edit distance of a query.
+     * Without `withDistances` or `limit`, results come back in sorted order as plain words.
+     * @param {string} query - Word to match, possibly misspelled
+     * @param {number} [maxDistance=1] - Largest edit distance to accept
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.transpositions=false] - Count swapping two adjacent characters as one
+     *   edit (Damerau / optimal string alignment distance) instead of two
+     * @param {Function} [options.substitutionCost] - `(queryChar, wordChar) => cost` for a substitution,
+     *   e.g. 0.5 for keyboard neighbours; defaults to 1 for any two different characters
+     * @param {boolean} [options.withDistances=false] - Return { word, distance } entries, closest first
+     * @param {number} [options.limit] - Return only the `limit` closest matches, closest first
+     *   (ties go to the higher score, then alphabetical order)
+     * @param {boolean} [options.withValues=false] - Include each word's value
+     * @returns {Array<string|Object>} - Matching words or entries
+     */
+    fuzzySearch(query, maxDistance = 1, options = {}) {
+      const { withValues = false, withDistances = false, limit } = options;
+      const edits = new EditDistance(this._normalize(query), maxDistance, options);
+      const matches = [];
+
+      const dfs = (node, path, state) => {
+        const distance = edits.distance(state);
+        if (node.isEndOfWord && distance <= maxDistance) {
+          matches.push({ node, path, distance, score: node.score });
+        }
+        // `label` is one character, or several in compact mode
+        for (const [label, child] of this._children(node)) {
+          let next = state;
+          for (const ch of label) {
+            next = edits.step(next, ch);
+            if (edits.isDead(next)) break;
+          }
+          if (!edits.isDead(next)) dfs(child, path + label, next);
         }
       };
+
+      dfs(this.root, '', edits.initial());
+      if (withDistances || limit !== undefined) rankMatches(matches, limit);
+      return this._fuzzyResults(matches, withValues, withDistances);
+    }
+
+    /**
+     * Autocomplete that tolerates typos in the typed prefix: finds every node whose path is
+     * within `maxDistance` edits of the prefix and completes from there. Results are ranked
+     * by how closely their prefix matched (exact prefixes first), then by score, then
+     * alphabetically.
+     * @param {string} prefix - Typed prefix, possibly misspelled
+     * @param {Object} [options] - Search options
+     * @param {number} [options.maxDistance=1] - Largest edit distance between the prefix and a word's start
+     * @param {number} [options.limit] - Return only the `limit` best completions
+     * @param {boolean} [options.withDistances=false] - Return { word, distance } entries
+     * @param {boolean} [options.withValues=false] - Include each word's value
+     * @param {boolean} [options.transpositions=false] - As for fuzzySearch
+     * @param {Function} [options.substitutionCost] - As for fuzzySearch
+     * @returns {Array<string|Object>} - Completions, best first
+     */
+    fuzzyAutocomplete(prefix, options = {}) {
+      const { maxDistance = 1, limit, withValues = false, withDistances = false } = options;
+      const edits = new EditDistance(this._normalize(prefix), maxDistance, options);
+      const matches = [];
+
+      // Once the rows are out of range the prefix cannot match any closer, so every word
+      // below completes at the best distance seen on the way down
+      const collect = (node, path, distance) => {
+        if (node.isEndOfWord) matches.push({ node, path, distance, score: node.score });
+        for (const [label, child] of this._children(node)) {
+          collect(child, path + label, distance);
+        }
+      };
+
+      // `best` is the closest the prefix came to any start of `path`
+      const dfs = (node, path, state, best) => {
+        if (node.isEndOfWord && best <= maxDistance) {
+          matches.push({ node, path, distance: best, score: node.score });
+        }
+        for (const [label, child] of this._children(node)) {
+          let next = state;
+          let childBest = best;
+          // In compact mode the typed prefix may end partway along the label
+          for (const ch of label) {
+            next = edits.step(next, ch);
+            childBest = Math.min(childBest, edits.distance(next));
+            if (edits.isDead(next)) break;
+          }
+          if (!edits.isDead(next)) {
+            dfs(child, path + label, next, childBest);
+          } else if (childBest <= maxDistance) {
+            collect(child, path + label, childBest);
+          }
+        }
+      };
+
+      const initial = edits.initial();
+      dfs(this.root, '', initial, edits.distance(initial));
+      rankMatches(matches, limit);
+      return this._fuzzyResults(matches, withValues, withDistances);
+    }
+
+    // Shape fuzzy matches like _result, adding the distance when asked for
+    _fuzzyResults(matches, withValues, withDistances) {
+      return matches.map(({ node, path, distance }) => {
+        const result = this._result(path, node, withValues);
+        if (!withDistances) return result;
+        return withValues ? { ...result, distance } : { word: result, distance };
+      });
+    }
+  
+    // Wildcard search ('.' can match any character)
+    wildcardSearch(pattern, options = {}) {
+      const { withValues = false } = options;
+      // Normalize the literal runs only, so a normalizer can never touch the '.' wildcards
+      const word = [...pattern.split('.').map(part => this._normalize(part)).join('.')];
+      const results = [];
   
-      dfs(this.root, "");
+      const dfs = (node, i, path) => {
+        if (i === word.length) {
+          if (node.isEndOfWord) results.push(this._result(path, node, withValues));
+          return;
+        }
+  
+        const ch = word[i];
+        if (this.compact) {
+          // Every character of the edge label has to fit the pattern
+          for (const [label, childNode] of this._children(node)) {
+            const chars = [...label];
+            if (i + chars.length > word.length) continue;
+            if (chars.every((c, j) => word[i + j] === "." || word[i + j] === c)) {
+              dfs(childNode, i + chars.length, path + label);
+            }
+          }
+        } else if (ch === ".") {
+          for (const [nextCh, childNode] of this._children(node)) {
+            dfs(childNode, i + 1, path + nextCh);
+          }
+        } else {
+          if (node.children[ch]) {
+            dfs(node.children[ch], i + 1, path + ch);
+          }
+        }
+      };
+  
+      dfs(this.root, 0, "");
+      return results;
+    }
+  
+    /**
+     * Find every word matching a glob or regex-style pattern. The pattern is compiled into an
+     * automaton that is stepped along the trie walk, so branches that cannot match are skipped.
+     * Literal characters go through the trie's normalizer, like query text does.
+     * @param {string} pattern - Pattern that has to match whole words
+     * @param {Object} [options] - Search options
+     * @param {string} [options.syntax='glob'] - 'glob' (`*`, `?`, `[a-z]`, `[!a-z]`) or
+     *   'regex-subset' (`.`, `*`, `+`, `?`, `|`, groups, classes, `\d`, `\w`, `\s`); `\` escapes in both
+     * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+     * @returns {Array<string|{word: string, value: *}>} - Matching words
+     */
+    patternSearch(pattern, options = {}) {
+      const { syntax = 'glob', withValues = false } = options;
+      const matcher = compilePattern(pattern, { syntax, normalize: this.normalizer });
+      const results = [];
+
+      const dfs = (node, path, states) => {
+        if (node.isEndOfWord && matcher.matches(states)) {
+          results.push(this._result(path, node, withValues));
+        }
+        for (const [label, child] of this._children(node)) {
+          let next = states;
+          for (const ch of label) {
+            next = matcher.step(next, ch);
+            if (next.length === 0) break;
+          }
+          if (next.length > 0) dfs(child, path + label, next);
+        }
+      };
+
+      dfs(this.root, '', matcher.initial);
+      return results;
+    }
+  
+    /**
+     * Words whose keys fall in [from, to), in sorted order, for alphabetical pickers and other
+     * ordered-index uses. Subtrees outside the range are never visited.
+     * @param {string|null} [from] - Inclusive lower bound; null or undefined for no bound
+     * @param {string|null} [to] - Exclusive upper bound; null or undefined for no bound
+     * @param {Object} [options] - Query options
+     * @param {boolean} [options.withValues=false] - Return { word, value } entries instead of strings
+     * @param {number} [options.limit] - Return at most this many words
+     * @returns {Array<string|{word: string, value: *}>} - Words in range
+     */
+    range(from, to, options = {}) {
+      const { withValues = false, limit } = options;
+      const bounds = {};
+      if (from !== undefined && from !== null) {
+        bounds.lower = this._normalize(from);
+        bounds.lowerInclusive = true;
+      }
+      if (to !== undefined && to !== null) {
+        bounds.upper = this._normalize(to);
+      }
+
+      const results = [];
+      if (limit !== undefined && limit <= 0) return results;
+      for (const [path, node] of this._walk(this.root, '', { bounds })) {
+        results.push(this._result(path, node, withValues));
+        if (results.length === limit) break;
+      }
       return results;
     }
+
+    /**
+     * The greatest stored word whose key is less than or equal to the given word's key.
+     * @param {string} word - Word to look around (need not be stored)
+     * @returns {string|undefined} - The word, or undefined if there is none
+     */
+    floor(word) {
+      return this._nearest(true, { upper: this._normalize(word), upperInclusive: true });
+    }
+
+    /**
+     * The least stored word whose key is greater than or equal to the given word's key.
+     * @param {string} word - Word to look around (need not be stored)
+     * @returns {string|undefined} - The word, or undefined if there is none
+     */
+    ceiling(word) {
+      return this._nearest(false, { lower: this._normalize(word), lowerInclusive: true });
+    }
+
+    /**
+     * The greatest stored word that sorts strictly before the given word.
+     * @param {string} word - Word to look around (need not be stored)
+     * @returns {string|undefined} - The word, or undefined if there is none
+     */
+    predecessor(word) {
+      return this._nearest(true, { upper: this._normalize(word) });
+    }
+
+    /**
+     * The least stored word that sorts strictly after the given word.
+     * @param {string} word - Word to look around (need not be stored)
+     * @returns {string|undefined} - The word, or undefined if there is none
+     */
+    successor(word) {
+      return this._nearest(false, { lower: this._normalize(word) });
+    }
+
+    /**
+     * Number of stored words that sort strictly before the given word, i.e. its position in
+     * listWords() if it were stored.
+     * @param {string} word - Word to rank (need not be stored)
+     * @returns {number} - Count of smaller words
+     */
+    rank(word) {
+      let node = this.root;
+      let rest = this._normalize(word);
+      let rank = 0;
+      // Along the key's path, every word ending above it and every subtree on a smaller
+      // edge that the key does not continue into comes first
+      while (node && rest.length > 0) {
+        if (node.isEndOfWord) rank++;
+        let next = null;
+        for (const [label, child] of Object.entries(node.children)) {
+          if (rest.startsWith(label)) {
+            next = [label, child];
+          } else if (this._compareKeys(label, rest) < 0) {
+            rank += child.count;
+          }
+        }
+        node = next && next[1];
+        rest = next ? rest.slice(next[0].length) : '';
+      }
+      return rank;
+    }
+
+    /**
+     * The word at a position in sorted order, the inverse of rank(): `select(0)` is the first word.
+     * Descends by subtree counts, so it costs one step per level rather than a walk over the words.
+     * @param {number} index - Position, from 0 to size - 1
+     * @returns {string|undefined} - The word, or undefined if the index is out of range
+     */
+    select(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= this.root.count) return undefined;
+      let node = this.root;
+      let path = '';
+      let remaining = index;
+      for (;;) {
+        if (node.isEndOfWord) {
+          if (remaining === 0) return this._result(path, node, false);
+          remaining--;
+        }
+        for (const [label, child] of this._children(node)) {
+          if (remaining < child.count) {
+            node = child;
+            path += label;
+            break;
+          }
+          remaining -= child.count;
+        }
+      }
+    }
+
+    // First word of an ascending or descending walk within bounds
+    _nearest(reverse, bounds) {
+      for (const [path, node] of this._walk(this.root, '', { reverse, bounds })) {
+        return this._result(path, node, false);
+      }
+      return undefined;
+    }
+
+    // Count words in trie
+    countWords() {
+      return this.root.count;
+    }
+
+    /**
+     * Number of words in the trie, kept up to date on every change.
+     * @type {number}
+     */
+    get size() {
+      return this.root.count;
+    }
+
+    /**
+     * Number of words starting with a prefix, without listing them, e.g. for a "1,234 matches" badge.
+     * @param {string} prefix - Typed prefix
+     * @returns {number} - Count of matching words
+     */
+    countPrefix(prefix) {
+      const location = this._locate(this._normalize(prefix));
+      return location ? location.node.count : 0;
+    }
+  
+    // List all words, in sorted order
+    listWords() {
+      return [...this.keys()];
+    }
+
+    /**
+     * Lazily yield every word (its display form), in sorted order.
+     * @returns {Generator<string>} - Words
+     */
+    *keys() {
+      for (const [path, node] of this._walk(this.root, '')) {
+        yield this._result(path, node, false);
+      }
+    }
+
+    /**
+     * Lazily yield the value attached to every word (undefined where none is attached), in
+     * sorted order of the words.
+     * @returns {Generator<*>} - Values
+     */
+    *values() {
+      for (const [, node] of this._walk(this.root, '')) {
+        yield node.value;
+      }
+    }
+
+    /**
+     * Lazily yield [word, value] pairs in sorted order, like Map.prototype.entries.
+     * @returns {Generator<Array>} - Entries
+     */
+    *entries() {
+      for (const [path, node] of this._walk(this.root, '')) {
+        yield [this._result(path, node, false), node.value];
+      }
+    }
+
+    /**
+     * Iterating a trie yields [word, value] pairs, like iterating a Map.
+     * @returns {Generator<Array>} - Entries
+     */
+    [Symbol.iterator]() {
+      return this.entries();
+    }
+
+    /**
+     * Add every word of another trie to this one, node by node. Words in both tries end up
+     * with the sum of their scores and with the other trie's value and display form, as if
+     * they had been inserted again. The other trie is left untouched.
+     * @param {Trie} other - Trie with the same normalization (its layout may differ)
+     * @returns {Trie} - This trie
+     */
+    merge(other) {
+      this._beginChange('merge');
+      this._checkCompatible(other);
+      this._mergeNodes(this.root, this._copySubtree(other.root));
+      if (this._observed('insert') && other.root.count > 0) {
+        const words = [...other._walk(other.root, '')];
+        this._changed('insert', words.map(([path]) => path), words.map(([path, node]) => other._result(path, node, false)));
+      }
+      return this;
+    }
+
+    /**
+     * A new trie holding the words of both tries, merged as by merge().
+     * @param {Trie} other - Trie with the same normalization
+     * @returns {Trie} - The union, with this trie's options
+     */
+    union(other) {
+      this._checkCompatible(other);
+      const result = this._emptyCopy();
+      result.root = result._copySubtree(this.root);
+      return result.merge(other);
+    }
+
+    /**
+     * A new trie holding the words stored in both tries, with this trie's values and scores.
+     * @param {Trie} other - Trie with the same normalization
+     * @returns {Trie} - The intersection, with this trie's options
+     */
+    intersection(other) {
+      return this._filterInto(other, inOther => inOther);
+    }
+
+    /**
+     * A new trie holding the words of this trie that are not in the other one.
+     * @param {Trie} other - Trie with the same normalization
+     * @returns {Trie} - The difference, with this trie's options
+     */
+    difference(other) {
+      return this._filterInto(other, inOther => !inOther);
+    }
+
+    // Tries can only be combined node by node when their keys were normalized the same way
+    _checkCompatible(other) {
+      if (!(other instanceof Trie)) {
+        throw new TypeError('Expected a Trie');
+      }
+      const mine = normalizeSteps(this.normalizeSpec);
+      const theirs = normalizeSteps(other.normalizeSpec);
+      if (mine.length !== theirs.length || mine.some((step, i) => step !== theirs[i])) {
+        throw new Error('Cannot combine tries with different normalize options');
+      }
+    }
+
+    _emptyCopy() {
+      return new this.constructor({
+        normalize: this.normalizeSpec,
+        compact: this.compact,
+        collator: this.collator,
+        logger: this.logger
+      });
+    }
+
+    // Deep copy of a subtree from either layout, converted to this trie's layout
+    _copySubtree(source) {
+      return this._copyWhere(source, null, () => true, () => null);
+    }
+
+    // Copy a subtree into this trie's layout, keeping the words for which `keepWord(node, context)`
+    // holds and dropping branches left without words. `descend(context, label)` gives a child's
+    // context. Copies are finished bottom-up on an explicit stack, so very long keys cannot
+    // overflow the call stack.
+    _copyWhere(source, context, keepWord, descend) {
+      const frame = (node, nodeContext, label) => {
+        const copy = new TrieNode();
+        if (node.isEndOfWord && keepWord(node, nodeContext)) {
+          copy.isEndOfWord = true;
+          copy.score = node.score;
+          copy.value = node.value;
+          copy.word = node.word;
+        }
+        return { copy, context: nodeContext, label, children: Object.entries(node.children), next: 0 };
+      };
+
+      const root = frame(source, context, null);
+      const stack = [root];
+      while (stack.length > 0) {
+        const top = stack[stack.length - 1];
+        if (top.next < top.children.length) {
+          const [label, child] = top.children[top.next++];
+          stack.push(frame(child, descend(top.context, label), label));
+          continue;
+        }
+        stack.pop();
+        this._recomputeSubtree(top.copy);
+        if (stack.length > 0 && top.copy.count > 0) {
+          this._attach(stack[stack.length - 1].copy, top.label, top.copy);
+        }
+      }
+      return root.copy;
+    }
+
+    // Hang a finished child under a new node along `label`: as one edge (folding a wordless
+    // single-child node into it) in compact mode, or as a chain of one-character edges
+    _attach(parent, label, child) {
+      if (this.compact) {
+        const childLabels = Object.keys(child.children);
+        if (!child.isEndOfWord && childLabels.length === 1) {
+          parent.children[label + childLabels[0]] = child.children[childLabels[0]];
+        } else {
+          parent.children[label] = child;
+        }
+        return;
+      }
+      const chars = [...label];
+      let node = child;
+      for (let i = chars.length - 1; i > 0; i--) {
+        const link = new TrieNode();
+        link.children[chars[i]] = node;
+        this._recomputeSubtree(link);
+        node = link;
+      }
+      parent.children[chars[0]] = node;
+    }
+
+    // Copy this trie's words into a new trie, keeping those for which `keep(inOther)` holds.
+    // Both tries are walked together; `position` tracks where this trie's path is in the other.
+    _filterInto(other, keep) {
+      this._checkCompatible(other);
+      const result = this._emptyCopy();
+      result.root = result._copyWhere(
+        this.root,
+        { node: other.root, rest: '' },
+        (node, position) => keep(position !== null && position.rest === '' && position.node.isEndOfWord),
+        (position, label) => position && other._advance(position, label)
+      );
+      return result;
+    }
+
+    // Move a position in this trie along `text`, or return null when the path leaves the trie.
+    // A position is { node, rest }, where `rest` is the part of the edge into `node` not yet
+    // consumed (only ever non-empty in compact mode).
+    _advance(position, text) {
+      let { node, rest } = position;
+      while (text.length > 0) {
+        if (rest.length === 0) {
+          const label = this.compact ? this._edgeFor(node, text) : firstChar(text);
+          if (label === null || !node.children[label]) return null;
+          node = node.children[label];
+          rest = label;
+        }
+        const common = commonPrefixLength(rest, text);
+        if (common === 0) return null;
+        rest = rest.slice(common);
+        text = text.slice(common);
+      }
+      return { node, rest };
+    }
+
+    /**
+     * Stage changes and publish them all at once. `callback` receives a transaction: a Trie over a
+     * copy-on-write version of this one, where inserts (including worker inserts), deletes and
+     * other changes are made. Until the callback's promise settles, this trie keeps answering
+     * queries from the last committed version, untouched by the staged changes. When it resolves,
+     * the staged version replaces the committed one in a single step and the transaction's
+     * insert/delete/clear events are emitted here; when it rejects, the staged changes are discarded.
+     * Only the nodes along changed paths are copied, never the whole trie.
+     *
+     * While a transaction is open, changing this trie directly throws; transactions started
+     * meanwhile wait for it and then see its changes. A transaction itself first waits for array
+     * inserts, insertFrom() and deleteMany() calls still running on this trie, and starts from
+     * their result. A transaction cannot be used after it ends.
+     * @param {function(Trie): (Promise<*>|*)} callback - Makes the changes through the transaction
+     * @returns {Promise<*>} - The callback's result once the changes are published; rejects with the
+     *   callback's error after discarding them
+     */
+    transaction(callback) {
+      const run = this.transactions.then(() => this._runTransaction(callback));
+      this.transactions = run.catch(() => {});
+      return run;
+    }
+
+    async _runTransaction(callback) {
+      // Everything from here to the write lock runs in one go, so no new async change can slip in
+      while (this.pending.size > 0) {
+        await Promise.all(this.pending);
+      }
+      const tx = this._emptyCopy();
+      tx.workerClient = this.workerClient;
+      tx.written = new WeakSet();
+      tx.root = this.root.clone();
+      tx.written.add(tx.root);
+
+      // Replayed here on commit; progress is passed on right away
+      const changes = [];
+      for (const type of ['insert', 'delete', 'clear']) {
+        tx.on(type, event => changes.push(event));
+      }
+      tx.on('progress', ({ type, ...progress }) => this._emit('progress', progress));
+
+      this.writeLock = 'Cannot change the trie directly while it has an open transaction; use the transaction';
+      let result;
+      try {
+        result = await callback(tx);
+      } finally {
+        this.writeLock = null;
+        tx.writeLock = 'This transaction has ended';
+      }
+
+      if (this.versions) {
+        this._pushVersion('transaction');
+        // Nodes the transaction copied belong to the published version alone
+        this.written = tx.written;
+      }
+      this.root = tx.root;
+      this.automaton = null;
+      for (const { type, words } of changes) {
+        this._changed(type, words && words.map(word => this._normalize(word)), words);
+      }
+      return result;
+    }
+
+    /**
+     * Step back to the version before the last change (history mode). Every public mutator call is
+     * one step: an insert of an array, a deletePrefix() or a whole transaction is undone at once.
+     * Changes that changed nothing are skipped. Listeners get insert/delete events for the words
+     * that came back or went away.
+     * @returns {boolean} - false if there was nothing to undo
+     */
+    undo() {
+      const versions = this._requireHistory('undo');
+      this._checkWritable();
+      this._dropUnchanged();
+      const step = versions.undo.pop();
+      if (!step) return false;
+      versions.redo.push({ operation: step.operation, root: this.root });
+      this._switchVersion(step.root);
+      return true;
+    }
+
+    /**
+     * Reapply the last change undone with undo() (history mode). Any other change clears what can be redone.
+     * @returns {boolean} - false if there was nothing to redo
+     */
+    redo() {
+      const versions = this._requireHistory('redo');
+      this._checkWritable();
+      const step = versions.redo.pop();
+      if (!step) return false;
+      versions.undo.push({ operation: step.operation, root: this.root });
+      this._switchVersion(step.root);
+      return true;
+    }
+
+    /**
+     * Name the current version (history mode), for restore() and diff(). Nothing is copied: the
+     * checkpoint shares its nodes with the trie until changes replace them. Reusing a name moves it.
+     * Checkpoints are kept until deleted with deleteCheckpoint(), whatever the undo limit.
+     * @param {string} name - Checkpoint name
+     * @returns {Trie} - This trie
+     */
+    checkpoint(name) {
+      this._requireHistory('checkpoint').checkpoints.set(name, this.root);
+      this._seal();
+      return this;
+    }
+
+    /**
+     * Forget a checkpoint, letting the nodes only it still uses be garbage collected.
+     * @param {string} name - Checkpoint name
+     * @returns {boolean} - false if there was no such checkpoint
+     */
+    deleteCheckpoint(name) {
+      return this._requireHistory('deleteCheckpoint').checkpoints.delete(name);
+    }
+
+    /**
+     * Names of the checkpoints, oldest first.
+     * @returns {string[]} - Checkpoint names
+     */
+    listCheckpoints() {
+      return [...this._requireHistory('listCheckpoints').checkpoints.keys()];
+    }
+
+    /**
+     * Make a checkpoint's version current again (history mode). This is a change like any other:
+     * undo() returns to the version it replaced.
+     * @param {string} name - Checkpoint name
+     * @returns {Trie} - This trie
+     */
+    restore(name) {
+      const root = this._checkpointRoot(name, 'restore');
+      this._checkWritable();
+      this._pushVersion('restore');
+      this._switchVersion(root);
+      return this;
+    }
+
+    /**
+     * Words added and removed between two versions (history mode). Only the parts of the two
+     * versions that do not share nodes are walked, so the cost follows the size of the changes.
+     * Words whose value or score changed are in neither list.
+     * @param {string} from - Checkpoint name of the earlier version
+     * @param {string} [to] - Checkpoint name of the later version; the current version when omitted
+     * @returns {{added: string[], removed: string[]}} - Words (display forms) in `to` but not in `from`,
+     *   and in `from` but not in `to`, each in sorted order
+     */
+    diff(from, to) {
+      const before = this._checkpointRoot(from, 'diff');
+      const after = to === undefined ? this.root : this._checkpointRoot(to, 'diff');
+      const { added, removed } = this._diffVersions(before, after);
+      const words = entries => entries.map(([path, node]) => this._result(path, node, false));
+      return { added: words(added), removed: words(removed) };
+    }
+
+    /**
+     * The operation log (history mode): the changes undo() and redo() would step through, with the
+     * words each added and removed, worked out from the versions around it as for diff().
+     * @returns {{undo: Array<{operation: string, added: string[], removed: string[]}>,
+     *   redo: Array<{operation: string, added: string[], removed: string[]}>}} - Undoable changes, oldest
+     *   first, and redoable ones, next first. `operation` is the method that made the change, e.g. 'insert',
+     *   'deletePrefix', 'transaction' or 'restore'.
+     */
+    history() {
+      const versions = this._requireHistory('history');
+      this._dropUnchanged();
+      const words = entries => entries.map(([path, node]) => this._result(path, node, false));
+      const describe = (operation, before, after) => {
+        const { added, removed } = this._diffVersions(before, after);
+        return { operation, added: words(added), removed: words(removed) };
+      };
+      const undo = versions.undo.map(({ operation, root }, i) =>
+        describe(operation, root, i + 1 < versions.undo.length ? versions.undo[i + 1].root : this.root));
+      const redo = [];
+      let before = this.root;
+      for (let i = versions.redo.length - 1; i >= 0; i--) {
+        const { operation, root } = versions.redo[i];
+        redo.push(describe(operation, before, root));
+        before = root;
+      }
+      return { undo, redo };
+    }
+
+    _requireHistory(method) {
+      if (!this.versions) {
+        throw new Error(`${method}() needs history mode: new Trie({ history: true })`);
+      }
+      return this.versions;
+    }
+
+    _checkpointRoot(name, method) {
+      const root = this._requireHistory(method).checkpoints.get(name);
+      if (!root) throw new Error(`Unknown checkpoint: ${name}`);
+      return root;
+    }
+
+    // Make a kept version current, leaving the kept one untouched, and tell listeners and live
+    // queries what changed
+    _switchVersion(root) {
+      // Worked out before anything changes, so a failure leaves the current version in place
+      const changes = this._observed('insert') || this._observed('delete') ? this._diffVersions(this.root, root) : null;
+      this.root = root;
+      this._seal();
+      this.automaton = null;
+      if (changes) {
+        for (const [type, entries] of [['delete', changes.removed], ['insert', changes.added]]) {
+          if (entries.length === 0) continue;
+          this._changed(type, entries.map(([path]) => path), entries.map(([path, node]) => this._result(path, node, false)));
+        }
+      }
+      // Scores may differ too, which reorders ranked results without any event
+      for (const subscription of [...this.subscriptions]) subscription.refresh();
+    }
+
+    // The words only in `after` and only in `before`, as [path, node] pairs in key order. Both
+    // versions are walked together one character at a time, so radix edges split or folded
+    // differently still line up, and a subtree reached through the same node in both is skipped.
+    // The walk keeps its own stack, so very long keys cannot overflow the call stack.
+    _diffVersions(before, after) {
+      const added = [];
+      const removed = [];
+      const nextChars = ({ node, rest }) =>
+        rest !== '' ? [firstChar(rest)] : Object.keys(node.children).map(firstChar);
+      // Each entry is a position in both versions, or in only one of them for a branch the other lacks
+      const stack = [[{ node: before, rest: '' }, { node: after, rest: '' }, '']];
+      while (stack.length > 0) {
+        const [a, b, path] = stack.pop();
+        if (!a || !b) {
+          const [position, into] = a ? [a, removed] : [b, added];
+          for (const entry of this._walk(position.node, path + position.rest)) into.push(entry);
+          continue;
+        }
+        if (a.rest === '' && b.rest === '' && a.node === b.node) continue;
+        // A word ends here only at a node; partway along an edge there is none
+        const wordA = a.rest === '' && a.node.isEndOfWord;
+        const wordB = b.rest === '' && b.node.isEndOfWord;
+        if (wordA && !wordB) removed.push([path, a.node]);
+        if (wordB && !wordA) added.push([path, b.node]);
+        const chars = [...new Set([...nextChars(a), ...nextChars(b)])].sort(this._compareKeys);
+        // Pushed in reverse so the branches come off the stack in key order
+        for (let i = chars.length - 1; i >= 0; i--) {
+          stack.push([this._advance(a, chars[i]), this._advance(b, chars[i]), path + chars[i]]);
+        }
+      }
+      return { added, removed };
+    }
+
+    /**
+     * Build an immutable, minimized copy of the current contents for read-only use.
+     * Later changes to this trie do not affect the frozen copy.
+     * @returns {FrozenTrie} - Read-only DAWG with the same words, values, scores and normalization
+     */
+    freeze() {
+      return FrozenTrie.fromTrie(this);
+    }
+
+    /**
+     * Snapshot the trie as a plain JSON-compatible object (also used by JSON.stringify).
+     * Words, scores, display forms and values are kept; values must be JSON-serializable.
+     * @returns {Object} - Snapshot object accepted by Trie.fromJSON
+     */
+    toJSON() {
+      return trieToJSON(this.root, { compact: this.compact });
+    }
+
+    /**
+     * Restore a trie from a toJSON() snapshot.
+     * @param {Object|string} json - Snapshot object or its JSON string
+     * @param {Object} [options] - Constructor options; pass the same `normalize` the snapshot was built with.
+     *   The storage layout (`compact`) is taken from the snapshot.
+     * @returns {Trie} - The restored trie
+     */
+    static fromJSON(json, options = {}) {
+      const { root, compact } = trieFromJSON(typeof json === 'string' ? JSON.parse(json) : json);
+      const trie = new this({ ...options, compact });
+      trie.root = root;
+      return trie;
+    }
+
+    /**
+     * Encode the trie into a compact, versioned binary snapshot with a CRC-32 checksum,
+     * suitable for building ahead of time and shipping as a static asset.
+     * @returns {Uint8Array} - Snapshot bytes accepted by Trie.deserialize
+     */
+    serialize() {
+      return encodeTrie(this.root, { compact: this.compact });
+    }
+
+    /**
+     * Restore a trie from a serialize() snapshot. Throws if the data is corrupt,
+     * truncated or from an unsupported format version.
+     * @param {Uint8Array|ArrayBuffer} bytes - Snapshot bytes
+     * @param {Object} [options] - Constructor options; pass the same `normalize` the snapshot was built with.
+     *   The storage layout (`compact`) is taken from the snapshot.
+     * @returns {Trie} - The restored trie
+     */
+    static deserialize(bytes, options = {}) {
+      const { root, compact } = decodeTrie(bytes);
+      const trie = new this({ ...options, compact });
+      trie.root = root;
+      return trie;
+    }
   }
   
   
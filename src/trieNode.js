@@ -18,6 +18,53 @@ class TrieNode {
        * @type {boolean}
        */
       this.isEndOfWord = false;
+
+      /**
+       * Value attached to the word ending at this node, if any.
+       * @type {*}
+       */
+      this.value = undefined;
+
+      /**
+       * The word as it was inserted, kept only when normalization changed its key.
+       * @type {string|undefined}
+       */
+      this.word = undefined;
+
+      /**
+       * Ranking score of the word ending at this node (explicit weight or insert count).
+       * @type {number}
+       */
+      this.score = 0;
+
+      /**
+       * Highest word score anywhere in this node's subtree, used to bound ranked searches.
+       * @type {number}
+       */
+      this.maxScore = 0;
+
+      /**
+       * Number of words in this node's subtree, its own word included.
+       * @type {number}
+       */
+      this.count = 0;
+    }
+
+    /**
+     * Shallow copy for copy-on-write: the same word data, and a new children object that
+     * still points at the same child nodes.
+     * @returns {TrieNode} - The copy
+     */
+    clone() {
+      const copy = new TrieNode();
+      copy.children = { ...this.children };
+      copy.isEndOfWord = this.isEndOfWord;
+      copy.value = this.value;
+      copy.word = this.word;
+      copy.score = this.score;
+      copy.maxScore = this.maxScore;
+      copy.count = this.count;
+      return copy;
     }
   }
 
@@ -1,94 +1,134 @@
-// TrieNode implementation directly in worker
-class TrieNode {
-    constructor() {
-        this.children = {};
-        this.isEndOfWord = false;
+/**
+ * @fileoverview Worker entry point.
+ *
+ * Two kinds of requests share one id/reply protocol:
+ * - chunk builds (no `op`): build a trie for one chunk of words and send back its nodes
+ *   packed into typed arrays (see packedTrie.js), transferring the buffers so the main
+ *   thread can adopt or merge the prebuilt nodes instead of inserting every word again,
+ *   plus the keys whose score was set explicitly (those replace the score in the main
+ *   trie rather than add to it);
+ * - hosted-trie requests (`op: 'init' | 'load' | 'call' | 'cancel'`) used by WorkerTrie,
+ *   where the whole trie lives in this worker and queries run here.
+ *
+ * Browsers load this file as a module worker; Node loads it through nodeWorker.js.
+ */
+
+import { Trie } from './trie.js';
+import { packTrie, packedBuffers } from './packedTrie.js';
+
+// Methods WorkerTrie may call on the hosted trie
+const HOSTED_METHODS = new Set([
+    'insert', 'delete', 'deleteMany', 'deletePrefix', 'clear', 'recordSelection',
+    'search', 'has', 'get', 'startsWith', 'longestPrefixOf', 'prefixesOf', 'scan', 'autocomplete',
+    'fuzzySearch', 'fuzzyAutocomplete', 'wildcardSearch', 'patternSearch',
+    'range', 'floor', 'ceiling', 'predecessor', 'successor', 'rank', 'select',
+    'countWords', 'countPrefix', 'listWords'
+]);
+
+let hostedTrie = null;
+const queue = [];
+const cancelled = new Set();
+let draining = false;
+
+function buildChunk({ words, normalize, compact }) {
+    if (!Array.isArray(words)) {
+        throw new Error('Expected words to be an array');
     }
-}
 
-class WorkerTrie {
-    constructor() {
-        this.root = new TrieNode();
+    if (words.length === 0) {
+        throw new Error('Words array is empty');
     }
 
-    insert(word) {
-        let node = this.root;
-        for (const char of word) {
-            if (!node.children[char]) {
-                node.children[char] = new TrieNode();
-            }
-            node = node.children[char];
+    // Each chunk gets a fresh trie so only this chunk's words are sent back
+    const trie = new Trie({ normalize, compact });
+    words.forEach(item => trie._insertItem(item));
+    const scored = new Set();
+    for (const item of words) {
+        if (item && typeof item.key === 'string' && item.key.length > 0 && item.score !== undefined) {
+            scored.add(trie._normalize(item.key));
         }
-        node.isEndOfWord = true;
     }
+    return { packed: packTrie(trie.root), scored: [...scored] };
+}
 
-    insertBatch(words) {
-        // Add console logging for debugging
-        console.log(`Worker: Processing ${words.length} words`);
-        
-        words.forEach(word => {
-            if (typeof word === 'string' && word.length > 0) {
-                this.insert(word);
-            }
-        });
-        
-        const result = this.serializeForMerge();
-        console.log(`Worker: Serialized ${result.length} words`);
-        return result;
+async function callHosted({ method, args = [] }) {
+    if (!hostedTrie) {
+        throw new Error('Hosted trie is not initialized');
     }
-
-    serializeForMerge() {
-        const result = [];
-        const serialize = (node, path = '') => {
-            if (node.isEndOfWord) {
-                result.push(path);
-            }
-            for (const [char, child] of Object.entries(node.children)) {
-                serialize(child, path + char);
-            }
-        };
-        serialize(this.root);
-        return result;
+    if (!HOSTED_METHODS.has(method)) {
+        throw new Error(`Unsupported method: ${method}`);
+    }
+    // Arrays are already off the main thread, so never spawn a nested worker for them
+    if (method === 'insert' && Array.isArray(args[0])) {
+        return hostedTrie._insertBatch(args[0]);
     }
+    return hostedTrie[method](...args);
 }
 
-const trie = new WorkerTrie();
+// Queued calls run one per task, so a cancel message that arrives while a call is
+// still waiting can drop it before it starts
+function drain(reply) {
+    const next = queue.shift();
+    if (!next) {
+        draining = false;
+        return;
+    }
+    if (cancelled.delete(next.id)) {
+        setTimeout(() => drain(reply), 0);
+        return;
+    }
+    callHosted(next)
+        .then(result => reply({ id: next.id, success: true, result }, []))
+        .catch(error => reply({ id: next.id, success: false, error: error.message, errorName: error.name }, []))
+        .then(() => setTimeout(() => drain(reply), 0));
+}
 
-// Enhanced message handler with better error handling
-self.onmessage = async function(e) {
-    // const { Trie } = await import('./trie.js');
-    // const trie = new Trie();
-    console.log('Worker: Received message', e.data);
-    
-    const { words, id } = e.data;
+/**
+ * Handle one message from the main thread.
+ * @param {Object} data - Request message
+ * @param {Function} reply - Called with the response and the buffers to transfer
+ */
+export function handleWorkerMessage(data, reply) {
+    const { id, op } = data;
 
     try {
-        if (!Array.isArray(words)) {
-            throw new Error('Expected words to be an array');
-        }
-
-        if (words.length === 0) {
-            throw new Error('Words array is empty');
+        switch (op) {
+            case undefined: {
+                const result = buildChunk(data);
+                reply({ id, success: true, result }, packedBuffers(result.packed));
+                break;
+            }
+            case 'init':
+                hostedTrie = new Trie(data.options);
+                reply({ id, success: true, result: null }, []);
+                break;
+            case 'load':
+                hostedTrie = Trie.deserialize(data.snapshot, data.options);
+                reply({ id, success: true, result: null }, []);
+                break;
+            case 'call':
+                queue.push(data);
+                if (!draining) {
+                    draining = true;
+                    setTimeout(() => drain(reply), 0);
+                }
+                break;
+            case 'cancel':
+                if (queue.some(request => request.id === id)) {
+                    cancelled.add(id);
+                }
+                break;
+            default:
+                throw new Error(`Unknown worker operation: ${op}`);
         }
-        const result = trie.insertBatch(words);
-        console.log(`Worker: Sending success response for ${result.length} words`);
-        
-        self.postMessage({
-            id,
-            success: true,
-            result
-        });
     } catch (error) {
-        console.error('Worker error:', error);
-        self.postMessage({
-            id,
-            success: false,
-            error: error.message
-        });
+        reply({ id, success: false, error: error.message, errorName: error.name }, []);
     }
-};
+}
 
-// Add error handler
-self.onerror = function(error) {
-    console.error('Worker global error:', error);
-};
\ No newline at end of file
+// Browser module worker
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function' && typeof window === 'undefined') {
+    self.onmessage = function(e) {
+        handleWorkerMessage(e.data, (response, transfer) => self.postMessage(response, transfer));
+    };
+}
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Main-thread side of the worker protocol, shared by Trie (offloaded
+ * inserts) and WorkerTrie (worker-hosted trie). Creates the worker on first use and
+ * correlates each request with its reply through a numeric id.
+ */
+
+import { AbortError, WorkerError, WorkerTimeoutError, WorkerLoadError } from './errors.js';
+import { createLogger } from './logger.js';
+
+// Kept out of a literal import() so browser bundlers do not try to resolve it
+const NODE_WORKER_THREADS = 'node:worker_threads';
+const isNode = typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
+
+class WorkerClient {
+    /**
+     * @param {Object} [options] - Client options
+     * @param {Object} [options.logger] - Console-like logger for worker lifecycle messages; silent by default
+     */
+    constructor({ logger } = {}) {
+      this.logger = createLogger(logger);
+      this.worker = null;
+      // Pending _createWorker() while the worker starts
+      this.starting = null;
+      this.workerPromises = new Map();
+      this.promiseId = 0;
+      this.workerIdleTimeout = null;
+      this.WORKER_IDLE_TIME = 30000; // 30 seconds
+      this.REQUEST_TIMEOUT = 30000; // 30 seconds, unless a request sets its own
+    }
+
+    // Browsers get a module worker, Node a worker_threads worker; both resolve their
+    // script relative to this module so bundlers and Node can find it
+    async _createWorker() {
+      let worker;
+      try {
+        if (typeof Worker !== 'undefined') {
+          worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+          worker.onmessage = (e) => this._handleWorkerMessage(e.data);
+          worker.onerror = (error) => this._rejectWorkerPromises(new WorkerLoadError('Worker error: ' + error.message));
+        } else if (isNode) {
+          const { Worker: NodeWorker } = await import(/* webpackIgnore: true */ NODE_WORKER_THREADS);
+          worker = new NodeWorker(new URL('./nodeWorker.js', import.meta.url));
+          worker.on('message', (data) => this._handleWorkerMessage(data));
+          worker.on('error', (error) => this._rejectWorkerPromises(new WorkerLoadError('Worker error: ' + error.message, { cause: error })));
+          // An idle worker should not keep the process alive (see _settle)
+          worker.unref();
+        } else {
+          throw new Error('Workers are not supported in this environment');
+        }
+      } catch (error) {
+        throw new WorkerLoadError(`Could not load worker.js: ${error.message}`, { cause: error });
+      }
+
+      this.logger.debug('Worker created successfully');
+      return worker;
+    }
+
+    // Errors thrown in the worker arrive as their name and message and reject as a WorkerError
+    _handleWorkerMessage(data) {
+      const { id, success, result, error, errorName } = data;
+      const promise = this.workerPromises.get(id);
+
+      if (promise) {
+        this._settle(id, promise);
+        if (success) {
+          promise.resolve(result);
+        } else {
+          promise.reject(new WorkerError(error, errorName));
+        }
+      }
+    }
+
+    _rejectWorkerPromises(error) {
+      this.logger.error('Worker error:', error);
+      this.workerPromises.forEach((promise, id) => {
+        this._settle(id, promise);
+        promise.reject(error);
+      });
+    }
+
+    // Forget a request and release its timer and abort listener
+    _settle(id, promise) {
+      this.workerPromises.delete(id);
+      clearTimeout(promise.timer);
+      if (promise.signal) {
+        promise.signal.removeEventListener('abort', promise.onAbort);
+      }
+      // Node workers only hold the process open while a reply is outstanding
+      if (this.workerPromises.size === 0 && this.worker && typeof this.worker.unref === 'function') {
+        this.worker.unref();
+      }
+    }
+
+    /**
+     * Send a request to the worker, starting it first if needed.
+     * @param {Object} message - Message body; an `id` is added
+     * @param {Object} [options] - Request options
+     * @param {ArrayBuffer[]} [options.transfer] - Buffers to transfer instead of copy
+     * @param {AbortSignal} [options.signal] - Rejects the request with an AbortError and tells
+     *   the worker to skip it if it has not started yet
+     * @param {number} [options.timeout] - Milliseconds before rejecting with a WorkerTimeoutError, 0 for none
+     * @returns {Promise<*>} - The worker's result; rejects with a WorkerError if the worker reports a failure,
+     *   and with a WorkerLoadError if the worker cannot start
+     */
+    async send(message, { transfer = [], signal, timeout = this.REQUEST_TIMEOUT } = {}) {
+      if (signal && signal.aborted) {
+        throw new AbortError();
+      }
+      if (!this.worker) {
+        // Requests sent while the worker starts wait for that same worker rather than starting their own
+        if (!this.starting) {
+          this.logger.debug('Creating web worker...');
+          this.starting = this._createWorker()
+            .then(worker => {
+              this.worker = worker;
+            })
+            .finally(() => {
+              this.starting = null;
+            });
+        }
+        await this.starting;
+      }
+      return this._sendToWorker(message, { transfer, signal, timeout });
+    }
+
+    _sendToWorker(message, { transfer, signal, timeout }) {
+      return new Promise((resolve, reject) => {
+        const id = ++this.promiseId;
+        this.logger.debug(`Main: Sending message to worker with id ${id}`, {
+          wordsCount: message.words?.length
+        });
+
+        const promise = { resolve, reject, timer: null, signal, onAbort: null };
+        if (timeout > 0) {
+          promise.timer = setTimeout(() => {
+            if (this.workerPromises.has(id)) {
+              this._settle(id, promise);
+              reject(new WorkerTimeoutError(timeout));
+            }
+          }, timeout);
+        }
+        if (signal) {
+          promise.onAbort = () => {
+            if (this.workerPromises.has(id)) {
+              this._settle(id, promise);
+              this.worker.postMessage({ op: 'cancel', id });
+              reject(new AbortError());
+            }
+          };
+          signal.addEventListener('abort', promise.onAbort, { once: true });
+        }
+        this.workerPromises.set(id, promise);
+        if (typeof this.worker.ref === 'function') {
+          this.worker.ref();
+        }
+
+        this.worker.postMessage({
+          ...message,
+          id
+        }, transfer);
+      });
+    }
+
+    scheduleCleanup() {
+      // Clear existing timeout
+      if (this.workerIdleTimeout) {
+        clearTimeout(this.workerIdleTimeout);
+      }
+
+      // Schedule cleanup after idle period
+      this.workerIdleTimeout = setTimeout(() => {
+        this.terminate();
+      }, this.WORKER_IDLE_TIME);
+      // Under Node the idle timer alone should not keep the process alive
+      if (typeof this.workerIdleTimeout.unref === 'function') {
+        this.workerIdleTimeout.unref();
+      }
+    }
+
+    // Stop the worker; requests still waiting for it reject with `reason`, an AbortError unless
+    // the worker is stopped over a failure that those requests should treat as one
+    terminate(reason = new AbortError('The worker was terminated')) {
+      if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+      }
+
+      if (this.workerIdleTimeout) {
+        clearTimeout(this.workerIdleTimeout);
+        this.workerIdleTimeout = null;
+      }
+
+      this.workerPromises.forEach((promise, id) => {
+        this._settle(id, promise);
+        promise.reject(reason);
+      });
+    }
+  }
+
+export default WorkerClient;
@@ -0,0 +1,281 @@
+import WorkerClient from './workerClient.js';
+import { AbortError } from './errors.js';
+import { readBatches, checkChunkSize } from './lineReader.js';
+
+/**
+ * A Trie that lives entirely inside a web worker (worker_threads under Node).
+ * Mirrors the Trie API, but every method is an async request to the worker, so heavy
+ * queries such as fuzzySearch never block the calling thread.
+ *
+ * Query methods accept an AbortSignal (`options.signal`) so a query made stale by the
+ * next keystroke can be cancelled: its promise rejects with an AbortError right away,
+ * and the worker skips it if it has not started yet.
+ */
+export class WorkerTrie {
+    /**
+     * @param {Object} [options] - Trie constructor options. They are sent to the worker, so
+     *   `normalize` must use preset names rather than custom functions, and `collator` is not supported.
+     *   A `logger` stays on the calling thread and logs the worker's lifecycle.
+     */
+    constructor(options = {}) {
+      const specs = Array.isArray(options.normalize) ? options.normalize : [options.normalize];
+      if (specs.some(spec => typeof spec === 'function')) {
+        throw new Error('WorkerTrie cannot send a custom normalize function to the worker; use preset names');
+      }
+      if (options.collator) {
+        throw new Error('WorkerTrie cannot send a collator to the worker; keys are kept in code point order');
+      }
+      const { logger, ...trieOptions } = options;
+      this.options = trieOptions;
+      this.workerClient = new WorkerClient({ logger });
+      this.ready = null;
+    }
+
+    // Start the worker and create the hosted trie on first use
+    _init() {
+      if (!this.ready) {
+        this.ready = this.workerClient.send({ op: 'init', options: this.options });
+        this.ready.catch(() => {
+          this.ready = null;
+        });
+      }
+      return this.ready;
+    }
+
+    async _call(method, args, { signal, timeout } = {}) {
+      const ready = this._init();
+      await ready;
+      // A terminate() while the worker was starting cuts this call off like any pending request
+      if (this.ready !== ready) throw new AbortError('The worker was terminated');
+      return this.workerClient.send({ op: 'call', method, args }, { signal, timeout });
+    }
+
+    /**
+     * Replace the hosted trie with one restored from a `trie.serialize()` snapshot.
+     * @param {Uint8Array|ArrayBuffer} snapshot - Snapshot bytes (copied to the worker)
+     * @returns {Promise<void>}
+     */
+    async load(snapshot) {
+      await this._init();
+      await this.workerClient.send({ op: 'load', snapshot, options: this.options }, { timeout: 0 });
+    }
+
+    /**
+     * Insert a word (with an optional value and score) or an array of words/entries.
+     * Array options that only make sense on the calling thread (worker, progress) are ignored;
+     * `signal` cancels an array insert that the worker has not started yet.
+     * @returns {Promise<Object|undefined>} - Batch result for arrays
+     */
+    insert(input, valueOrOptions, wordOptions = {}) {
+      if (Array.isArray(input)) {
+        const { signal } = valueOrOptions || {};
+        // Large loads can legitimately take longer than the default request timeout
+        return this._call('insert', [input], { signal, timeout: 0 });
+      }
+      return this._call('insert', [input, valueOrOptions, wordOptions], { timeout: 0 });
+    }
+
+    /**
+     * Insert words read incrementally from a stream or (async) iterable, as `trie.insertFrom()`.
+     * The source is read on the calling thread and each batch is sent to the worker, so
+     * `onProgress` and `signal` work here too; `useWorker` is implied.
+     * @returns {Promise<{success: boolean, processed: number, lines: number, bytes: number}>}
+     */
+    async insertFrom(source, options = {}) {
+      const { chunkSize = 100000, parse, totalBytes, onProgress = null, signal } = options;
+      checkChunkSize(chunkSize);
+      let processed = 0;
+      let read = { lines: 0, bytes: 0 };
+
+      for await (read of readBatches(source, { chunkSize, parse, signal })) {
+        const { batch, lines, bytes } = read;
+        if (batch.length > 0) {
+          await this._call('insert', [batch], { signal, timeout: 0 });
+          processed += batch.length;
+        }
+        if (onProgress) {
+          const progress = { processed, lines, bytes };
+          if (totalBytes > 0) progress.percentage = Math.min(100, Math.round((bytes / totalBytes) * 100));
+          onProgress(progress);
+        }
+      }
+
+      return { success: true, processed, lines: read.lines, bytes: read.bytes };
+    }
+
+    delete(word, { signal } = {}) {
+      return this._call('delete', [word], { signal });
+    }
+
+    /**
+     * Delete many words inside the worker. `chunkSize` is honoured; `onProgress` stays on the
+     * calling thread and is ignored.
+     * @returns {Promise<{success: boolean, processed: number, deleted: number}>}
+     */
+    deleteMany(words, { chunkSize } = {}) {
+      return this._call('deleteMany', [words, { chunkSize }], { timeout: 0 });
+    }
+
+    deletePrefix(prefix, { signal } = {}) {
+      return this._call('deletePrefix', [prefix], { signal });
+    }
+
+    clear({ signal } = {}) {
+      return this._call('clear', [], { signal });
+    }
+
+    search(word, { signal } = {}) {
+      return this._call('search', [word], { signal });
+    }
+
+    has(key, { signal } = {}) {
+      return this._call('has', [key], { signal });
+    }
+
+    get(key, { signal } = {}) {
+      return this._call('get', [key], { signal });
+    }
+
+    startsWith(prefix, { signal } = {}) {
+      return this._call('startsWith', [prefix], { signal });
+    }
+
+    autocomplete(prefix, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('autocomplete', [prefix, rest], { signal });
+    }
+
+    /**
+     * Asynchronously yield completions in sorted order, fetched from the worker one page at a
+     * time with the `after` cursor, so a large result set never crosses the thread boundary at once.
+     * @param {string} prefix - Typed prefix
+     * @param {Object} [options] - Iteration options
+     * @param {number} [options.pageSize=100] - Completions fetched per request
+     * @param {boolean} [options.withValues=false] - Yield { word, value } entries instead of strings
+     * @param {AbortSignal} [options.signal] - Cancels the pending page request
+     * @returns {AsyncGenerator<string|{word: string, value: *}>} - Completions
+     */
+    async *autocompleteIter(prefix, options = {}) {
+      const { pageSize = 100, withValues = false, signal } = options;
+      let after = null;
+      for (;;) {
+        const page = await this.autocomplete(prefix, { withValues, after, limit: pageSize, signal });
+        yield* page;
+        if (page.length < pageSize) return;
+        const last = page[page.length - 1];
+        after = withValues ? last.word : last;
+      }
+    }
+
+    // Every word in sorted order, paged like autocompleteIter
+    keys(options = {}) {
+      return this.autocompleteIter('', options);
+    }
+
+    // [word, value] pairs in sorted order, paged like autocompleteIter
+    async *entries(options = {}) {
+      for await (const { word, value } of this.autocompleteIter('', { ...options, withValues: true })) {
+        yield [word, value];
+      }
+    }
+
+    [Symbol.asyncIterator]() {
+      return this.entries();
+    }
+
+    fuzzySearch(word, maxDistance = 1, options = {}) {
+      const { signal, ...rest } = options;
+      if (typeof rest.substitutionCost === 'function') {
+        return Promise.reject(new Error('WorkerTrie cannot send a substitutionCost function to the worker'));
+      }
+      return this._call('fuzzySearch', [word, maxDistance, rest], { signal });
+    }
+
+    fuzzyAutocomplete(prefix, options = {}) {
+      const { signal, ...rest } = options;
+      if (typeof rest.substitutionCost === 'function') {
+        return Promise.reject(new Error('WorkerTrie cannot send a substitutionCost function to the worker'));
+      }
+      return this._call('fuzzyAutocomplete', [prefix, rest], { signal });
+    }
+
+    wildcardSearch(pattern, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('wildcardSearch', [pattern, rest], { signal });
+    }
+
+    patternSearch(pattern, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('patternSearch', [pattern, rest], { signal });
+    }
+
+    longestPrefixOf(text, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('longestPrefixOf', [text, rest], { signal });
+    }
+
+    prefixesOf(text, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('prefixesOf', [text, rest], { signal });
+    }
+
+    scan(text, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('scan', [text, rest], { signal });
+    }
+
+    range(from, to, options = {}) {
+      const { signal, ...rest } = options;
+      return this._call('range', [from, to, rest], { signal });
+    }
+
+    floor(word, { signal } = {}) {
+      return this._call('floor', [word], { signal });
+    }
+
+    ceiling(word, { signal } = {}) {
+      return this._call('ceiling', [word], { signal });
+    }
+
+    predecessor(word, { signal } = {}) {
+      return this._call('predecessor', [word], { signal });
+    }
+
+    successor(word, { signal } = {}) {
+      return this._call('successor', [word], { signal });
+    }
+
+    rank(word, { signal } = {}) {
+      return this._call('rank', [word], { signal });
+    }
+
+    select(index, { signal } = {}) {
+      return this._call('select', [index], { signal });
+    }
+
+    recordSelection(word, amount = 1, { signal } = {}) {
+      return this._call('recordSelection', [word, amount], { signal });
+    }
+
+    countPrefix(prefix, { signal } = {}) {
+      return this._call('countPrefix', [prefix], { signal });
+    }
+
+    countWords({ signal } = {}) {
+      return this._call('countWords', [], { signal });
+    }
+
+    listWords({ signal } = {}) {
+      return this._call('listWords', [], { signal });
+    }
+
+    /**
+     * Stop the worker. The hosted trie is discarded; the next call starts an empty one.
+     */
+    terminate() {
+      this.workerClient.terminate();
+      this.ready = null;
+    }
+  }
+
+export default WorkerTrie;
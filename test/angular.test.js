@@ -0,0 +1,124 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"customExportConditions": ["node", "node-addons"]}
+ */
+// Under the browser conditions rxjs resolves to its untranspiled ESM build, which Jest cannot load
+import { Injector } from "@angular/core";
+import { Subject } from "rxjs";
+import { TRIE, TrieSearchService, provideTrieSearch } from "../src/angular.js";
+import { Trie } from "../src/index.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("TrieSearchService", () => {
+  let trie;
+  let service;
+  let subscriptions;
+
+  beforeEach(async () => {
+    trie = new Trie();
+    await trie.insert(["apple", "apply", "apricot", "banana"]);
+    service = Injector.create({ providers: [provideTrieSearch(trie)] }).get(TrieSearchService);
+    subscriptions = [];
+  });
+
+  afterEach(() => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+  });
+
+  test("is injectable through provideTrieSearch", () => {
+    expect(service).toBeInstanceOf(TrieSearchService);
+    expect(service.trie).toBe(trie);
+
+    // TRIE may also come from elsewhere, e.g. a parent injector
+    const parent = Injector.create({ providers: [{ provide: TRIE, useValue: trie }] });
+    const child = Injector.create({ providers: [provideTrieSearch()], parent });
+    expect(child.get(TrieSearchService).trie).toBe(trie);
+  });
+
+  test("autocomplete emits loading and result states for debounced queries", async () => {
+    const query$ = new Subject();
+    const states = [];
+    subscriptions.push(service.autocomplete(query$, { debounce: 10, limit: 2 }).subscribe(state => states.push(state)));
+
+    query$.next("a");
+    query$.next("ap");
+    await wait(40);
+    query$.next("");
+    await wait(40);
+
+    expect(states).toEqual([
+      { results: [], loading: true, error: null },
+      { results: ["apple", "apply"], loading: false, error: null },
+      { results: [], loading: false, error: null }
+    ]);
+  });
+
+  test("fuzzy queries and trie changes re-run the current query", async () => {
+    const query$ = new Subject();
+    const results = [];
+    subscriptions.push(service.autocomplete(query$, { debounce: 0, fuzzy: 1 }).subscribe(state => {
+      if (!state.loading) results.push(state.results);
+    }));
+
+    query$.next("bnan");
+    await wait(20);
+    await trie.insert("bananas");
+    await wait(20);
+
+    expect(results).toEqual([["banana"], ["banana", "bananas"]]);
+  });
+
+  test("a newer query aborts the one in flight", async () => {
+    const aborted = [];
+    const slow = {
+      autocomplete: (query, { signal }) => new Promise(resolve => {
+        const timer = setTimeout(() => resolve([`${query}-result`]), query === "a" ? 80 : 5);
+        signal.addEventListener("abort", () => {
+          clearTimeout(timer);
+          aborted.push(query);
+        });
+      })
+    };
+    const query$ = new Subject();
+    const results = [];
+    subscriptions.push(new TrieSearchService(slow).autocomplete(query$, { debounce: 0 }).subscribe(state => {
+      if (!state.loading) results.push(state.results);
+    }));
+
+    query$.next("a");
+    await wait(10);
+    query$.next("ab");
+    await wait(120);
+
+    expect(aborted).toEqual(["a"]);
+    expect(results).toEqual([["ab-result"]]);
+  });
+
+  test("errors become part of the state", async () => {
+    const failing = new TrieSearchService({ autocomplete: () => Promise.reject(new Error("worker crashed")) });
+    const query$ = new Subject();
+    const states = [];
+    subscriptions.push(failing.autocomplete(query$, { debounce: 0 }).subscribe(state => states.push(state)));
+
+    query$.next("ap");
+    await wait(20);
+
+    expect(states[states.length - 1]).toEqual({ results: [], loading: false, error: new Error("worker crashed") });
+  });
+
+  test("watch and events wrap subscribe() and on()", async () => {
+    const watched = [];
+    const events = [];
+    subscriptions.push(service.watch("ban").subscribe(results => watched.push(results)));
+    subscriptions.push(service.events("delete").subscribe(event => events.push(event.words)));
+
+    trie.delete("banana");
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    await trie.insert("band");
+
+    expect(watched).toEqual([["banana"], []]);
+    expect(events).toEqual([["banana"]]);
+    expect(trie.subscriptions.size).toBe(0);
+  });
+});
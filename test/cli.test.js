@@ -0,0 +1,128 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable, Writable } from "node:stream";
+import { run, loadWordFile } from "../src/cli.js";
+import { Trie } from "../src/index.js";
+
+// A writable stream that remembers everything written to it
+function capture() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.text += chunk.toString();
+      callback();
+    }
+  });
+  stream.text = "";
+  return stream;
+}
+
+async function cli(args, input = "") {
+  const stdout = capture();
+  const stderr = capture();
+  const code = await run(args, { stdin: Readable.from([input]), stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe("trie-search-plus CLI", () => {
+  let dir;
+  let words;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "trie-cli-"));
+    words = join(dir, "words.txt");
+    writeFileSync(words, "\uFEFFApple\napp\r\napplication\n\nbanana\nbath\n");
+    writeFileSync(join(dir, "words.csv"), 'word,score\n"Café, ""au"" lait",5\nzebra,2\nzoo,x\n');
+    writeFileSync(join(dir, "words.json"), JSON.stringify(["kiwi", { key: "mango", value: 1, score: 3 }]));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("streams newline, CSV and JSON word files", async () => {
+    const trie = new Trie();
+    const progress = [];
+    expect(await loadWordFile(trie, words, { onProgress: percentage => progress.push(percentage) })).toBe(5);
+    expect(await loadWordFile(trie, join(dir, "words.csv"), { format: "csv", header: true })).toBe(3);
+    expect(await loadWordFile(trie, join(dir, "words.json"), { format: "json" })).toBe(2);
+
+    expect(progress).toEqual([100]);
+    expect(trie.listWords().sort()).toEqual(
+      ['Apple', 'Café, "au" lait', "app", "application", "banana", "bath", "kiwi", "mango", "zebra", "zoo"].sort()
+    );
+    expect(trie.autocomplete("z", { limit: 1 })).toEqual(["zebra"]);
+    expect(trie.get("mango")).toBe(1);
+  });
+
+  test("answers queries from word files", async () => {
+    const options = ["-w", words, "--normalize", "caseInsensitive", "-q"];
+
+    expect(await cli(["autocomplete", "ap", ...options])).toEqual({ code: 0, stdout: "app\nApple\napplication\n", stderr: "" });
+    expect((await cli(["autocomplete", "ap", "--limit", "1", ...options])).stdout.split("\n")).toHaveLength(2);
+    expect((await cli(["fuzzy", "bnana", ...options])).stdout).toBe("banana\t1\n");
+    expect((await cli(["fuzzy", "aple", "-d", "2", "--json", ...options])).stdout).toBe(
+      `${JSON.stringify([{ word: "Apple", distance: 1 }, { word: "app", distance: 2 }])}\n`
+    );
+    expect((await cli(["wildcard", "ba.h", ...options])).stdout).toBe("bath\n");
+    expect((await cli(["count", ...options])).stdout).toBe("5\n");
+    expect((await cli(["count", "AP", ...options])).stdout).toBe("3\n");
+
+    const { stdout } = await cli(["stats", "--json", ...options]);
+    expect(JSON.parse(stdout)).toMatchObject({ words: 5, maxDepth: 11, averageLength: 5.8, compact: false });
+  });
+
+  test("reports loading progress on stderr", async () => {
+    const { stderr } = await cli(["count", "-w", words]);
+    expect(stderr).toContain(`Loading ${words}: 100%`);
+    expect(stderr).toContain(`Loaded ${words}`);
+  });
+
+  test("builds binary and JSON snapshots that later runs load", async () => {
+    for (const name of ["words.trie", "words.json.snapshot.json"]) {
+      const out = join(dir, name);
+      const build = await cli(["build", "-w", words, "-w", join(dir, "words.csv"), "--header", "--compact", "-o", out, "-q"]);
+      expect(build.code).toBe(0);
+      expect(build.stdout).toMatch(new RegExp(`^Wrote 8 words to .*${name} \\(\\d+ bytes\\)\\n$`));
+
+      expect((await cli(["autocomplete", "Caf", "-s", out])).stdout).toBe('Café, "au" lait\n');
+      const { stdout } = await cli(["stats", "-s", out, "--json"]);
+      expect(JSON.parse(stdout)).toMatchObject({ words: 8, compact: true });
+    }
+    expect(Trie.deserialize(readFileSync(join(dir, "words.trie"))).search("zoo")).toBe(true);
+  });
+
+  test("runs queries in the REPL", async () => {
+    const input = "ap\n:fuzzy bnana 1\n:wildcard ba.h\n:count b\n:has app\n:stats\n:nope\n:quit\nbath\n";
+    const { code, stdout } = await cli(["repl", "-w", words, "-q"], input);
+
+    expect(code).toBe(0);
+    expect(stdout).toContain("5 words loaded.");
+    expect(stdout).toContain("app\napplication\n");
+    expect(stdout).toContain("banana\t1\n");
+    expect(stdout).toContain("bath\n");
+    expect(stdout).toContain("2\n");
+    expect(stdout).toContain("true\n");
+    expect(stdout).toContain("words: 5\n");
+    expect(stdout).toContain("Unknown command :nope");
+    // Nothing after :quit is run
+    expect(stdout.match(/trie> /g)).toHaveLength(8);
+  });
+
+  test("reports bad usage and failures", async () => {
+    expect((await cli(["--help"])).stdout).toContain("Usage: trie-search-plus");
+    expect(await cli([])).toMatchObject({ code: 2, stdout: "" });
+    expect((await cli(["frobnicate"])).stderr).toContain("Unknown command: frobnicate");
+    expect((await cli(["count", "--bogus"])).code).toBe(2);
+
+    expect(await cli(["count"])).toMatchObject({ code: 1, stderr: expect.stringContaining("Nothing to load") });
+    expect((await cli(["fuzzy", "-w", words])).stderr).toContain("fuzzy needs a query");
+    expect((await cli(["build", "-w", words])).stderr).toContain("build needs --out");
+    expect((await cli(["count", "-w", words, "--format", "xml"])).stderr).toContain("Unknown format: xml");
+    expect((await cli(["autocomplete", "a", "-w", words, "--limit=1.5"])).stderr).toContain("--limit must be");
+    expect((await cli(["count", "-w", join(dir, "missing.txt")])).code).toBe(1);
+
+    writeFileSync(join(dir, "object.json"), "{}");
+    expect((await cli(["count", "-w", join(dir, "object.json")])).stderr).toContain("expected a JSON array");
+  });
+});
@@ -0,0 +1,171 @@
+import { setFlagsFromString } from "node:v8";
+import { runInNewContext } from "node:vm";
+import { Trie } from "../src/index.js";
+
+// Deterministic pseudo-random dictionary so the benchmark is reproducible
+const makeWords = (count, seed = 42) => {
+  let state = seed;
+  const next = () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state / 4294967296;
+  };
+  const words = new Set();
+  while (words.size < count) {
+    const length = 4 + Math.floor(next() * 9);
+    let word = "";
+    for (let i = 0; i < length; i++) {
+      word += String.fromCharCode(97 + Math.floor(next() * 26));
+    }
+    words.add(word);
+  }
+  return [...words];
+};
+
+const countNodes = (node) =>
+  1 + Object.values(node.children).reduce((sum, child) => sum + countNodes(child), 0);
+
+describe("Compact (radix) storage", () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new Trie({ compact: true });
+  });
+
+  afterEach(() => {
+    trie._cleanup();
+    trie = null;
+  });
+
+  test("single-child chains are stored as one edge", async () => {
+    await trie.insert(["romane", "romanus", "romulus", "rubens"]);
+
+    expect(Object.keys(trie.root.children)).toEqual(["r"]);
+    expect(Object.keys(trie.root.children.r.children).sort()).toEqual(["om", "ubens"]);
+    expect(countNodes(trie.root)).toBe(8);
+  });
+
+  test("search, startsWith and autocomplete across split edges", async () => {
+    await trie.insert(["apple", "app", "application", "apartment", "banana"]);
+
+    expect(trie.search("apple")).toBe(true);
+    expect(trie.search("app")).toBe(true);
+    expect(trie.search("appl")).toBe(false);
+    expect(trie.search("ap")).toBe(false);
+    expect(trie.startsWith("appl")).toBe(true);
+    expect(trie.startsWith("ban")).toBe(true);
+    expect(trie.startsWith("bx")).toBe(false);
+    expect(trie.autocomplete("appl").sort()).toEqual(["apple", "application"]);
+    expect(trie.autocomplete("ba")).toEqual(["banana"]);
+    expect(trie.autocomplete("bananas")).toEqual([]);
+    expect(trie.autocomplete("").sort()).toEqual(["apartment", "app", "apple", "application", "banana"]);
+  });
+
+  test("delete folds leftover single-child nodes back into one edge", async () => {
+    await trie.insert(["test", "team", "tea"]);
+    const before = countNodes(trie.root);
+
+    trie.delete("tea");
+    expect(trie.search("tea")).toBe(false);
+    expect(trie.search("team")).toBe(true);
+    expect(countNodes(trie.root)).toBe(before - 1);
+
+    trie.delete("team");
+    expect(trie.listWords()).toEqual(["test"]);
+    expect(countNodes(trie.root)).toBe(2);
+
+    trie.delete("tes");
+    expect(trie.search("test")).toBe(true);
+  });
+
+  test("fuzzy and wildcard search walk multi-character edges", async () => {
+    await trie.insert(["apple", "app", "application", "banana", "bath", "bat"]);
+
+    expect(trie.fuzzySearch("aple", 1)).toContain("apple");
+    expect(trie.fuzzySearch("applicaton", 1)).toEqual(["application"]);
+    expect(trie.fuzzySearch("baths", 1).sort()).toEqual(["bath"]);
+    expect(trie.fuzzySearch("xyz", 1)).toEqual([]);
+
+    expect(trie.wildcardSearch("app.e")).toEqual(["apple"]);
+    expect(trie.wildcardSearch("ba.")).toEqual(["bat"]);
+    expect(trie.wildcardSearch("b..h")).toEqual(["bath"]);
+    expect(trie.wildcardSearch("...").sort()).toEqual(["app", "bat"]);
+  });
+
+  test("values, scores and normalization work as in the default layout", async () => {
+    trie = new Trie({ compact: true, normalize: "caseInsensitive" });
+    await trie.insert([{ key: "Tent", value: 1, score: 5 }, { key: "TEN", score: 2 }, "tea"]);
+
+    expect(trie.get("tent")).toBe(1);
+    expect(trie.autocomplete("te", { limit: 2 })).toEqual(["Tent", "TEN"]);
+    expect(trie.recordSelection("tea", 10)).toBe(11);
+    expect(trie.autocomplete("t", { limit: 1 })).toEqual(["tea"]);
+
+    trie.delete("tea");
+    expect(trie.root.maxScore).toBe(5);
+  });
+
+  test("snapshots keep the compact layout", async () => {
+    await trie.insert(["slow", "slower", "slowest"]);
+
+    const restored = Trie.deserialize(trie.serialize());
+    expect(restored.compact).toBe(true);
+    expect(restored.autocomplete("slowe").sort()).toEqual(["slower", "slowest"]);
+
+    const fromJson = Trie.fromJSON(JSON.stringify(trie));
+    expect(fromJson.compact).toBe(true);
+    expect(fromJson.search("slowest")).toBe(true);
+  });
+
+  test("worker chunks merge into partially overlapping edges", async () => {
+    await trie.insert(["interview", "internet"]);
+    await trie.insert(["internal", "interval", "inter", "in"], { useWorker: true, chunkSize: 2 });
+
+    expect(trie.listWords().sort()).toEqual(["in", "inter", "internal", "internet", "interval", "interview"]);
+    expect(trie.autocomplete("interv").sort()).toEqual(["interval", "interview"]);
+  }, 10000);
+
+  test("characters outside the BMP never split a surrogate pair", async () => {
+    await trie.insert(["x😀a", "x😎b"]);
+
+    expect(trie.search("x😀a")).toBe(true);
+    expect(trie.autocomplete("x😎")).toEqual(["x😎b"]);
+    expect(trie.wildcardSearch("x.b")).toEqual(["x😎b"]);
+  });
+
+  describe("memory benchmark", () => {
+    const words = makeWords(20000);
+    // Heap figures are only stable when garbage collection can be forced; without node --expose-gc,
+    // the flag is turned on here and a fresh context picks up the gc() function it exposes
+    let gc = global.gc;
+    if (!gc) {
+      setFlagsFromString("--expose-gc");
+      gc = runInNewContext("gc");
+    }
+
+    const measure = async (options) => {
+      gc();
+      const before = process.memoryUsage().heapUsed;
+      const built = new Trie(options);
+      await built.insert(words);
+      gc();
+      const heap = process.memoryUsage().heapUsed - before;
+      return { trie: built, heap, nodes: countNodes(built.root) };
+    };
+
+    test("compact layout uses fewer nodes than node-per-character", async () => {
+      const standard = await measure({});
+      const compact = await measure({ compact: true });
+
+      expect(compact.trie.countWords()).toBe(words.length);
+      expect(compact.trie.listWords().sort()).toEqual(standard.trie.listWords().sort());
+      expect(compact.nodes).toBeLessThan(standard.nodes / 2);
+    }, 30000);
+
+    test("compact layout uses less heap than node-per-character", async () => {
+      const standard = await measure({});
+      const compact = await measure({ compact: true });
+
+      expect(compact.heap).toBeLessThan(standard.heap);
+    }, 30000);
+  });
+});
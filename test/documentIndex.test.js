@@ -0,0 +1,102 @@
+import { DocumentIndex, defaultTokenizer } from "../src/index.js";
+
+describe("DocumentIndex", () => {
+  const products = [
+    "Apple iPhone 15 Pro",
+    "Apple Watch Series 9",
+    "Samsung Galaxy S24",
+    "Google Pixel 8 Pro",
+    "The Apple Store Gift Card"
+  ];
+  let index;
+
+  beforeEach(() => {
+    index = new DocumentIndex({ stopWords: ["the"] });
+    products.forEach((title, i) => index.insert(title, { id: `sku-${i + 1}` }));
+  });
+
+  test("the default tokenizer splits on whitespace and punctuation", () => {
+    expect(defaultTokenizer("Apple iPhone 15 Pro (128GB), space-gray")).toEqual(
+      ["Apple", "iPhone", "15", "Pro", "128GB", "space", "gray"]
+    );
+  });
+
+  test("a prefix matches documents through any of their tokens", () => {
+    expect(index.autocomplete("iph")).toEqual([{ id: "sku-1", document: "Apple iPhone 15 Pro" }]);
+    expect(index.autocomplete("pro").map(result => result.id)).toEqual(["sku-1", "sku-4"]);
+    expect(index.autocomplete("xbox")).toEqual([]);
+    expect(index.autocomplete("")).toEqual([]);
+  });
+
+  test("multi-term queries need every prefix to match", () => {
+    expect(index.autocomplete("app pro").map(result => result.id)).toEqual(["sku-1"]);
+    expect(index.autocomplete("PRO app").map(result => result.id)).toEqual(["sku-1"]);
+    expect(index.autocomplete("apple s").map(result => result.id)).toEqual(["sku-2", "sku-5"]);
+    expect(index.autocomplete("pixel pro 8")).toEqual([{ id: "sku-4", document: "Google Pixel 8 Pro" }]);
+  });
+
+  test("whole-token matches rank ahead of prefix matches", () => {
+    index.insert("Appetizer Plates", { id: "sku-6" });
+
+    expect(index.autocomplete("app").map(result => result.id)).toEqual(["sku-1", "sku-2", "sku-5", "sku-6"]);
+    index.insert("App Store Card", { id: "sku-7" });
+    expect(index.autocomplete("app", { limit: 2 }).map(result => result.id)).toEqual(["sku-7", "sku-1"]);
+  });
+
+  test("search matches whole tokens only", () => {
+    expect(index.search("apple pro").map(result => result.id)).toEqual(["sku-1"]);
+    expect(index.search("app")).toEqual([]);
+  });
+
+  test("stop words are not indexed, except as a query's last, unfinished term", () => {
+    index.insert("Theater Tickets", { id: "sku-8" });
+
+    expect(index.tokenize("The Apple Store")).toEqual(["apple", "store"]);
+    expect(index.search("the")).toEqual([]);
+    expect(index.autocomplete("the").map(result => result.id)).toEqual(["sku-8"]);
+    expect(index.autocomplete("the apple gift").map(result => result.id)).toEqual(["sku-5"]);
+  });
+
+  test("delete and re-insert keep token ids in sync", () => {
+    expect(index.delete("sku-1")).toBe(true);
+    expect(index.delete("sku-1")).toBe(false);
+    expect(index.autocomplete("iph")).toEqual([]);
+    expect(index.tokens.search("iphone")).toBe(false);
+    expect(index.autocomplete("pro").map(result => result.id)).toEqual(["sku-4"]);
+
+    index.insert("Google Pixel 9", { id: "sku-4" });
+    expect(index.get("sku-4")).toBe("Google Pixel 9");
+    expect(index.autocomplete("pro")).toEqual([]);
+    expect(index.size).toBe(4);
+  });
+
+  test("token inserts go through the token trie's insert events", () => {
+    const events = [];
+    index.tokens.on("insert", event => events.push(event));
+
+    index.insert("Apple Vision", { id: "sku-6" });
+
+    expect(events).toEqual([{ type: "insert", words: ["apple"] }, { type: "insert", words: ["vision"] }]);
+    expect(index.tokens.get("apple")).toEqual(new Set(["sku-1", "sku-2", "sku-5", "sku-6"]));
+  });
+
+  test("ids are assigned when omitted", () => {
+    const numbered = new DocumentIndex();
+    const first = numbered.insert("red shoes");
+    const second = numbered.insert("blue shoes");
+
+    expect([first, second]).toEqual([1, 2]);
+    expect(numbered.has(2)).toBe(true);
+    expect(numbered.autocomplete("sho").map(result => result.id)).toEqual([1, 2]);
+  });
+
+  test("custom tokenizers", () => {
+    const byComma = new DocumentIndex({ tokenizer: text => text.split(",").map(part => part.trim()) });
+    byComma.insert("New York, Los Angeles", { id: "route" });
+
+    expect(byComma.autocomplete("los a").map(result => result.id)).toEqual(["route"]);
+    expect(byComma.autocomplete("angeles")).toEqual([]);
+    expect(byComma.autocomplete("los a, new").map(result => result.id)).toEqual(["route"]);
+    expect(() => new DocumentIndex({ tokenizer: "whitespace" })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,159 @@
+import { Trie, FrozenTrie } from "../src/index.js";
+
+describe("FrozenTrie", () => {
+  const words = ["apple", "app", "application", "apply", "banana", "bath", "bat", "batch"];
+
+  test("answers the read-only queries like a Trie", async () => {
+    const trie = new Trie();
+    await trie.insert(words);
+    const frozen = trie.freeze();
+
+    expect(frozen.search("apple")).toBe(true);
+    expect(frozen.search("appl")).toBe(false);
+    expect(frozen.has("bat")).toBe(true);
+    expect(frozen.startsWith("appl")).toBe(true);
+    expect(frozen.startsWith("c")).toBe(false);
+    expect(frozen.autocomplete("app")).toEqual(["app", "apple", "application", "apply"]);
+    expect(frozen.autocomplete("x")).toEqual([]);
+    expect(frozen.fuzzySearch("aple", 1)).toEqual(trie.fuzzySearch("aple", 1).sort());
+    expect(frozen.fuzzySearch("bath", 1)).toEqual(["bat", "batch", "bath"]);
+    expect(frozen.wildcardSearch("ba.")).toEqual(["bat"]);
+    expect(frozen.wildcardSearch("b..h")).toEqual(["bath"]);
+    expect(frozen.countWords()).toBe(words.length);
+    expect(frozen.listWords()).toEqual([...words].sort());
+  });
+
+  test("shares equal suffixes between words", () => {
+    const suffixed = ["running", "jumping", "walking", "nation", "station", "ration"];
+    const frozen = FrozenTrie.from(suffixed);
+    const trie = new Trie();
+    suffixed.forEach(word => trie._insert(word));
+    const countNodes = (node) =>
+      1 + Object.values(node.children).reduce((sum, child) => sum + countNodes(child), 0);
+
+    expect(frozen.finals.length).toBeLessThanOrEqual(countNodes(trie.root) / 2);
+    expect(frozen.edgeChars).toBeInstanceOf(Uint32Array);
+    expect(frozen.listWords()).toEqual([...suffixed].sort());
+  });
+
+  test("keeps values, scores and display forms per word even on shared nodes", () => {
+    const frozen = FrozenTrie.from([
+      { key: "Sing", value: "verb", score: 3 },
+      { key: "Ring", value: "noun", score: 8 },
+      "king",
+      "king"
+    ], { normalize: "caseInsensitive" });
+
+    expect(frozen.get("RING")).toBe("noun");
+    expect(frozen.get("sing")).toBe("verb");
+    expect(frozen.get("king")).toBeUndefined();
+    expect(frozen.autocomplete("", { limit: 2 })).toEqual(["Ring", "Sing"]);
+    expect(frozen.autocomplete("", { limit: 3, withValues: true })).toEqual([
+      { word: "Ring", value: "noun" },
+      { word: "Sing", value: "verb" },
+      { word: "king", value: undefined }
+    ]);
+    expect(frozen.wildcardSearch(".ING")).toEqual(["king", "Ring", "Sing"]);
+  });
+
+  test("ranked autocomplete matches Trie and only expands the best subtrees", async () => {
+    const entries = Array.from({ length: 3000 }, (_, i) => ({ key: `w${(i * 7919) % 3000}x`, score: (i * 37) % 101 }));
+    entries.push({ key: "w2999xyz", score: 500 });
+    const trie = new Trie();
+    await trie.insert(entries);
+    const frozen = trie.freeze();
+
+    for (const prefix of ["", "w", "w1", "w29", "w2999"]) {
+      expect(frozen.autocomplete(prefix, { limit: 5 })).toEqual(trie.autocomplete(prefix, { limit: 5 }));
+      expect(frozen.autocomplete(prefix, { limit: 2, withValues: true })).toEqual(trie.autocomplete(prefix, { limit: 2, withValues: true }));
+    }
+    expect(frozen.autocomplete("w", { limit: 0 })).toEqual([]);
+
+    const maxScore = frozen._maxScore.bind(frozen);
+    let bounds = 0;
+    frozen._maxScore = (from, to) => (bounds++, maxScore(from, to));
+    expect(frozen.autocomplete("", { limit: 1 })).toEqual(["w2999xyz"]);
+    expect(bounds).toBeLessThan(100);
+  });
+
+  test("freezes compact and normalized tries", async () => {
+    const trie = new Trie({ compact: true, normalize: "accentInsensitive" });
+    await trie.insert(["café", "cafeteria", "naïve"]);
+    const frozen = trie.freeze();
+
+    expect(frozen.search("cafe")).toBe(true);
+    expect(frozen.autocomplete("cafe")).toEqual(["café", "cafeteria"]);
+    expect(frozen.fuzzySearch("naive", 0)).toEqual(["naïve"]);
+
+    // Later edits to the source trie do not leak into the frozen copy
+    await trie.insert("cafes");
+    expect(frozen.search("cafes")).toBe(false);
+  });
+
+  test("handles characters outside the BMP", () => {
+    const frozen = FrozenTrie.from(["x😀a", "x😎b", "xb"]);
+
+    expect(frozen.search("x😎b")).toBe(true);
+    expect(frozen.wildcardSearch("x.b")).toEqual(["x😎b"]);
+    expect(frozen.autocomplete("x😀")).toEqual(["x😀a"]);
+  });
+
+  test.each([false, true])("keeps the source trie's collator order (compact: %s)", async compact => {
+    const collator = new Intl.Collator("de");
+    const input = ["Zebra", "Öl", "Äpfel", "apfel", "Birne", "Ofen"];
+    const trie = new Trie({ collator, compact });
+    await trie.insert(input);
+    const frozen = trie.freeze();
+    const built = FrozenTrie.from(input, { collator });
+
+    expect(frozen.collator).toBe(collator);
+    expect(frozen.listWords()).toEqual(["apfel", "Äpfel", "Birne", "Ofen", "Öl", "Zebra"]);
+    expect(built.listWords()).toEqual(frozen.listWords());
+    expect(frozen.range("a", "C")).toEqual(["apfel", "Äpfel", "Birne"]);
+    expect(frozen.successor("Ofen")).toBe("Öl");
+    expect(frozen.rank("Öl")).toBe(trie.rank("Öl"));
+    expect(frozen.select(1)).toBe("Äpfel");
+    expect(frozen.autocompleteIter("", { after: "Birne" }).next().value).toBe("Ofen");
+    expect(frozen.search("Äpfel")).toBe(true);
+    expect(frozen.countPrefix("Ö")).toBe(1);
+  });
+
+  test.each([false, true])("freezes very long keys without deep recursion (compact: %s)", async compact => {
+    const long = "a".repeat(20000);
+    const trie = new Trie({ compact });
+    await trie.insert([long, `${long}b`, "ab"]);
+    const frozen = trie.freeze();
+
+    expect(frozen.countWords()).toBe(3);
+    expect(frozen.search(`${long}b`)).toBe(true);
+    expect(frozen.search(long.slice(1))).toBe(false);
+  });
+
+  test("rejects mutations", () => {
+    const frozen = FrozenTrie.from(words);
+
+    expect(() => frozen.insert("pear")).toThrow(/read-only: insert\(\)/);
+    expect(() => frozen.delete("apple")).toThrow(/read-only: delete\(\)/);
+    expect(() => frozen.recordSelection("apple")).toThrow(/read-only/);
+    expect(() => frozen.insertFrom(["pear\n"])).toThrow(/read-only: insertFrom\(\)/);
+    expect(() => frozen.transaction(async () => {})).toThrow(/read-only: transaction\(\)/);
+    expect(() => frozen.undo()).toThrow(/read-only: undo\(\)/);
+    expect(() => frozen.checkpoint("v1")).toThrow(/read-only: checkpoint\(\)/);
+    expect(() => frozen.diff("v1")).toThrow(/keeps no history: diff\(\)/);
+    expect(() => frozen.history()).toThrow(/keeps no history: history\(\)/);
+    expect(() => frozen.listCheckpoints()).toThrow(/keeps no history: listCheckpoints\(\)/);
+    expect(frozen.countWords()).toBe(words.length);
+  });
+
+  test("an empty dictionary answers every query with nothing", () => {
+    const frozen = FrozenTrie.from([]);
+
+    expect(frozen.countWords()).toBe(0);
+    expect(frozen.search("")).toBe(false);
+    expect(frozen.autocomplete("")).toEqual([]);
+    expect(frozen.fuzzySearch("a", 1)).toEqual([]);
+    expect(frozen.range(null, null)).toEqual([]);
+    expect(frozen.floor("a")).toBeUndefined();
+    expect(frozen.rank("a")).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { useTrieAutocomplete } from "../src/react.js";
+import { Trie } from "../src/index.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Answers like a WorkerTrie: asynchronously, slower for some queries, and aware of aborts
+const slowTrie = (delays) => ({
+  aborted: [],
+  autocomplete(query, { signal }) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve([`${query}-result`]), delays[query] || 0);
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        this.aborted.push(query);
+      });
+    });
+  }
+});
+
+describe("useTrieAutocomplete", () => {
+  let trie;
+
+  beforeEach(async () => {
+    trie = new Trie({ normalize: "caseInsensitive" });
+    await trie.insert(["Apple", "apply", "apricot", "banana"]);
+  });
+
+  test("returns debounced completions", async () => {
+    const { result, rerender } = renderHook(({ query }) => useTrieAutocomplete(trie, query, { debounce: 20, limit: 2 }), {
+      initialProps: { query: "" }
+    });
+    expect(result.current).toEqual({ results: [], loading: false, error: null });
+
+    rerender({ query: "ap" });
+    expect(result.current.loading).toBe(true);
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.results).toHaveLength(2);
+
+    rerender({ query: "" });
+    expect(result.current.results).toEqual([]);
+  });
+
+  test("fuzzy completion tolerates a typo", async () => {
+    const { result } = renderHook(() => useTrieAutocomplete(trie, "bnan", { debounce: 0, fuzzy: true }));
+
+    await waitFor(() => expect(result.current.results).toEqual(["banana"]));
+  });
+
+  test("a newer query cancels a stale one", async () => {
+    const slow = slowTrie({ a: 100, ab: 10 });
+    const { result, rerender } = renderHook(({ query }) => useTrieAutocomplete(slow, query, { debounce: 0 }), {
+      initialProps: { query: "a" }
+    });
+
+    await act(() => wait(20));
+    rerender({ query: "ab" });
+    await waitFor(() => expect(result.current.results).toEqual(["ab-result"]));
+    await act(() => wait(120));
+
+    expect(slow.aborted).toEqual(["a"]);
+    expect(result.current.results).toEqual(["ab-result"]);
+  });
+
+  test("reports loading until the trie arrives, and errors from the query", async () => {
+    const failing = { autocomplete: () => Promise.reject(new Error("worker crashed")) };
+    const { result, rerender } = renderHook(({ source }) => useTrieAutocomplete(source, "ap", { debounce: 0 }), {
+      initialProps: { source: null }
+    });
+    expect(result.current.loading).toBe(true);
+
+    rerender({ source: trie });
+    await waitFor(() => expect(result.current.results).toEqual(["Apple", "apply", "apricot"]));
+
+    rerender({ source: failing });
+    await waitFor(() => expect(result.current.error).toEqual(new Error("worker crashed")));
+    expect(result.current.loading).toBe(false);
+  });
+
+  test("re-runs when the trie changes", async () => {
+    const { result } = renderHook(() => useTrieAutocomplete(trie, "ban", { debounce: 0 }));
+    await waitFor(() => expect(result.current.results).toEqual(["banana"]));
+
+    await act(() => trie.insert("bandana"));
+    await waitFor(() => expect(result.current.results).toEqual(["banana", "bandana"]));
+  });
+});
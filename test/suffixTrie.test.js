@@ -0,0 +1,87 @@
+import { SuffixTrie } from "../src/index.js";
+
+describe("SuffixTrie", () => {
+  const skus = ["AB-1234-X", "CD-5678-Y", "AB-9999-Z", "report-2024.pdf", "notes-2023.txt"];
+  let trie;
+
+  beforeEach(async () => {
+    trie = new SuffixTrie({ normalize: "caseInsensitive" });
+    await trie.insert(skus);
+  });
+
+  test("finds fragments anywhere in a word", () => {
+    expect(trie.contains("1234")).toEqual(["AB-1234-X"]);
+    expect(trie.contains("ab-")).toEqual(["AB-1234-X", "AB-9999-Z"]);
+    expect(trie.contains("-20")).toEqual(["report-2024.pdf", "notes-2023.txt"]);
+    expect(trie.contains("o")).toEqual(["report-2024.pdf", "notes-2023.txt"]);
+    expect(trie.contains("AB-1234-X")).toEqual(["AB-1234-X"]);
+    expect(trie.contains("4-y")).toEqual([]);
+    expect(trie.contains("2", { limit: 1 })).toEqual(["AB-1234-X"]);
+  });
+
+  test("endsWith matches whole suffixes only", () => {
+    expect(trie.endsWith(".PDF")).toEqual(["report-2024.pdf"]);
+    expect(trie.endsWith("-z")).toEqual(["AB-9999-Z"]);
+    expect(trie.endsWith("1234")).toEqual([]);
+  });
+
+  test("values and deletion", async () => {
+    await trie.insert("EF-1234-Q", { bin: 7 });
+
+    expect(trie.contains("1234", { withValues: true })).toEqual([
+      { word: "AB-1234-X", value: undefined },
+      { word: "EF-1234-Q", value: { bin: 7 } }
+    ]);
+    expect(trie.get("ef-1234-q")).toEqual({ bin: 7 });
+
+    expect(trie.delete("ab-1234-x")).toBe(true);
+    expect(trie.delete("ab-1234-x")).toBe(false);
+    expect(trie.contains("1234")).toEqual(["EF-1234-Q"]);
+    expect(trie.fragments.search("ab-1234-x")).toBe(false);
+    expect(trie.countWords()).toBe(5);
+  });
+
+  test("fragment inserts go through the fragment trie's insert events", async () => {
+    const words = [];
+    trie.fragments.on("insert", event => words.push(...event.words));
+
+    await trie.insert("Zz-1");
+
+    expect(words).toEqual(["zz-1", "z-1", "-1", "1"]);
+  });
+
+  test("re-inserting a word keeps one entry", async () => {
+    await trie.insert("ab-1234-x", "restocked");
+
+    expect(trie.countWords()).toBe(skus.length);
+    expect(trie.contains("1234", { withValues: true })).toEqual([{ word: "ab-1234-x", value: "restocked" }]);
+  });
+
+  test("minFragmentLength skips short fragments", async () => {
+    const bounded = new SuffixTrie({ minFragmentLength: 3 });
+    await bounded.insert(["banana", "grab"]);
+
+    expect(bounded.contains("ana")).toEqual(["banana"]);
+    expect(bounded.contains("rab")).toEqual(["grab"]);
+    expect(bounded.contains("an")).toEqual([]);
+    expect(bounded.endsWith("ab")).toEqual([]);
+    expect(bounded.fragments.countWords()).toBe(4 + 2);
+  });
+
+  test("maxFragmentLength cuts fragments and checks longer queries against the word", async () => {
+    const bounded = new SuffixTrie({ maxFragmentLength: 3 });
+    await bounded.insert(["abcdef", "abcxyz"]);
+
+    expect(bounded.contains("bcd")).toEqual(["abcdef"]);
+    expect(bounded.contains("abc")).toEqual(["abcdef", "abcxyz"]);
+    expect(bounded.contains("abcx")).toEqual(["abcxyz"]);
+    expect(bounded.endsWith("xyz")).toEqual(["abcxyz"]);
+    expect(bounded.endsWith("cdef")).toEqual(["abcdef"]);
+    expect(bounded.fragments.listWords().every(fragment => fragment.length <= 3)).toBe(true);
+  });
+
+  test("fragment bounds are validated", () => {
+    expect(() => new SuffixTrie({ minFragmentLength: 0 })).toThrow(RangeError);
+    expect(() => new SuffixTrie({ minFragmentLength: 4, maxFragmentLength: 2 })).toThrow(RangeError);
+  });
+});
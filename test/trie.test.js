@@ -1,4 +1,5 @@
-import { Trie } from "../src/index.js";
+import { Readable } from "node:stream";
+import { Trie, AbortError, WorkerError, WorkerTimeoutError, WorkerLoadError, normalizers } from "../src/index.js";
 
 describe("Trie", () => {
   let trie;
@@ -172,7 +173,1310 @@ describe("Trie", () => {
     expect(trie.listWords()).toEqual([]);
   });
 
+  describe("Attached values", () => {
+    test("insert with a value and read it back", async () => {
+      await trie.insert("apple", { id: 1 });
+      await trie.insert("app");
+
+      expect(trie.get("apple")).toEqual({ id: 1 });
+      expect(trie.get("app")).toBeUndefined();
+      expect(trie.get("appl")).toBeUndefined();
+      expect(trie.has("apple")).toBe(true);
+      expect(trie.has("app")).toBe(true);
+      expect(trie.has("appl")).toBe(false);
+    });
+
+    test("re-inserting a key updates its value", async () => {
+      await trie.insert("apple", 1);
+      await trie.insert("apple", 2);
+
+      expect(trie.get("apple")).toBe(2);
+      expect(trie.countWords()).toBe(1);
+    });
+
+    test("batch insert accepts key/value entries", async () => {
+      const result = await trie.insert([{ key: "apple", value: "fruit" }, "app", { key: "bat", value: 0 }]);
+
+      expect(result.success).toBe(true);
+      expect(trie.get("apple")).toBe("fruit");
+      expect(trie.get("bat")).toBe(0);
+      expect(trie.has("app")).toBe(true);
+    });
+
+    test("delete removes the value", async () => {
+      await trie.insert("apple", "fruit");
+      trie.delete("apple");
+
+      expect(trie.has("apple")).toBe(false);
+      expect(trie.get("apple")).toBeUndefined();
+
+      await trie.insert("apple");
+      expect(trie.get("apple")).toBeUndefined();
+    });
+
+    test("query results can include values", async () => {
+      await trie.insert([{ key: "apple", value: 1 }, { key: "apply", value: 2 }, "bat"]);
+
+      expect(trie.autocomplete("app", { withValues: true })).toEqual(expect.arrayContaining([
+        { word: "apple", value: 1 },
+        { word: "apply", value: 2 }
+      ]));
+      expect(trie.fuzzySearch("aple", 1, { withValues: true })).toEqual([{ word: "apple", value: 1 }]);
+      expect(trie.wildcardSearch("b.t", { withValues: true })).toEqual([{ word: "bat", value: undefined }]);
+    });
+  });
+
+  describe("Ranked autocomplete", () => {
+    test("limit returns the highest-scoring completions first", async () => {
+      await trie.insert([
+        { key: "apple", score: 5 },
+        { key: "apricot", score: 9 },
+        { key: "application", score: 1 },
+        { key: "apt", score: 7 },
+        { key: "banana", score: 100 }
+      ]);
+
+      expect(trie.autocomplete("ap", { limit: 2 })).toEqual(["apricot", "apt"]);
+      expect(trie.autocomplete("ap", { limit: 10 })).toEqual(["apricot", "apt", "apple", "application"]);
+      expect(trie.autocomplete("ap", { limit: 0 })).toEqual([]);
+      expect(trie.autocomplete("", { limit: 1 })).toEqual(["banana"]);
+    });
+
+    test("repeated inserts bump the score", async () => {
+      await trie.insert(["car", "cat", "cat", "cab", "cat", "cab"]);
+
+      expect(trie.autocomplete("ca", { limit: 3 })).toEqual(["cat", "cab", "car"]);
+    });
+
+    test("explicit score on a single insert replaces the count", async () => {
+      await trie.insert("dog");
+      await trie.insert("dot");
+      await trie.insert("dot");
+      await trie.insert("dog", undefined, { score: 10 });
+
+      expect(trie.autocomplete("do", { limit: 1 })).toEqual(["dog"]);
+
+      await trie.insert("dog", undefined, { score: 0 });
+      expect(trie.autocomplete("do", { limit: 1 })).toEqual(["dot"]);
+    });
+
+    test("recordSelection raises a word's rank", async () => {
+      await trie.insert(["tea", "ten", "tent"]);
+
+      expect(trie.recordSelection("tent")).toBe(2);
+      expect(trie.recordSelection("ten", 5)).toBe(6);
+      expect(trie.recordSelection("te")).toBe(false);
+      expect(trie.autocomplete("te", { limit: 3 })).toEqual(["ten", "tent", "tea"]);
+    });
+
+    test("deleting the top word updates subtree bounds", async () => {
+      await trie.insert([{ key: "go", score: 1 }, { key: "gone", score: 50 }, { key: "good", score: 3 }]);
+      trie.delete("gone");
+
+      expect(trie.root.maxScore).toBe(3);
+      expect(trie.autocomplete("go", { limit: 2 })).toEqual(["good", "go"]);
+    });
+
+    test("ranked results can include values", async () => {
+      await trie.insert([{ key: "red", value: "#f00", score: 2 }, { key: "rose", value: "#f0a", score: 4 }]);
+
+      expect(trie.autocomplete("r", { limit: 1, withValues: true })).toEqual([{ word: "rose", value: "#f0a" }]);
+    });
+  });
+
+  describe("Normalization", () => {
+    test("case-insensitive keys keep the inserted display form", async () => {
+      trie = new Trie({ normalize: "caseInsensitive" });
+      await trie.insert(["Apple", "APRICOT", "banana"]);
+
+      expect(trie.search("apple")).toBe(true);
+      expect(trie.search("APPLE")).toBe(true);
+      expect(trie.startsWith("AP")).toBe(true);
+      expect(trie.autocomplete("ap")).toEqual(expect.arrayContaining(["Apple", "APRICOT"]));
+      expect(trie.listWords()).toEqual(expect.arrayContaining(["Apple", "APRICOT", "banana"]));
+    });
+
+    test("accent and case folding make Café, cafe and CAFÉ one key", async () => {
+      trie = new Trie({ normalize: ["caseInsensitive", "accentInsensitive"] });
+      await trie.insert("Café", "first");
+      await trie.insert("cafe");
+      await trie.insert("CAFÉ", "third");
+
+      expect(trie.countWords()).toBe(1);
+      expect(trie.get("cafe")).toBe("third");
+      expect(trie.autocomplete("caf", { withValues: true })).toEqual([{ word: "CAFÉ", value: "third" }]);
+      expect(trie.fuzzySearch("cafo", 1)).toEqual(["CAFÉ"]);
+      expect(trie.wildcardSearch("c.fé")).toEqual(["CAFÉ"]);
+
+      trie.delete("Cafe");
+      expect(trie.countWords()).toBe(0);
+    });
+
+    test("NFKC folds compatibility characters", async () => {
+      trie = new Trie({ normalize: "nfkc" });
+      await trie.insert("ﬁle");
+
+      expect(trie.search("file")).toBe(true);
+      expect(trie.autocomplete("fi")).toEqual(["ﬁle"]);
+    });
+
+    test("custom normalizer functions", async () => {
+      trie = new Trie({ normalize: word => word.replace(/[^a-z0-9]/gi, "").toLowerCase() });
+      await trie.insert("Wi-Fi");
+
+      expect(trie.search("wifi")).toBe(true);
+      expect(trie.autocomplete("WI")).toEqual(["Wi-Fi"]);
+    });
+
+    test("recordSelection does not overwrite the display form", async () => {
+      trie = new Trie({ normalize: normalizers.caseInsensitive });
+      await trie.insert("Paris");
+      trie.recordSelection("paris");
+
+      expect(trie.autocomplete("p", { limit: 1 })).toEqual(["Paris"]);
+    });
+
+    test("unknown presets are rejected", () => {
+      expect(() => new Trie({ normalize: "shout" })).toThrow(/Unknown normalize option/);
+    });
+
+    test("characters outside the BMP are matched as single characters", async () => {
+      await trie.insert(["a😀b", "a😎b"]);
+
+      expect(trie.wildcardSearch("a.b")).toEqual(expect.arrayContaining(["a😀b", "a😎b"]));
+      expect(trie.fuzzySearch("a😀c", 1)).toEqual(["a😀b"]);
+      trie.delete("a😀b");
+      expect(trie.listWords()).toEqual(["a😎b"]);
+    });
+  });
+
+  describe("Fuzzy search options", () => {
+    beforeEach(async () => {
+      await trie.insert(["the", "then", "tea", "ten", "toe", "form", "from", "farm"]);
+    });
+
+    test("transpositions count as one edit", () => {
+      expect(trie.fuzzySearch("teh", 1)).not.toContain("the");
+      expect(trie.fuzzySearch("teh", 1, { transpositions: true })).toContain("the");
+      expect(trie.fuzzySearch("fomr", 1, { transpositions: true })).toEqual(["form"]);
+    });
+
+    test("results can be ranked by distance and limited", async () => {
+      await trie.insert("then");
+
+      expect(trie.fuzzySearch("thn", 1, { withDistances: true })).toEqual([
+        { word: "then", distance: 1 },
+        { word: "ten", distance: 1 },
+        { word: "the", distance: 1 }
+      ]);
+      expect(trie.fuzzySearch("tehn", 2, { transpositions: true, limit: 1 })).toEqual(["then"]);
+      expect(trie.fuzzySearch("ten", 1, { limit: 2, withDistances: true })).toEqual([
+        { word: "ten", distance: 0 },
+        { word: "then", distance: 1 }
+      ]);
+    });
+
+    test("custom substitution costs", () => {
+      // Keyboard neighbours are cheap typos
+      const neighbours = { t: "rfgy", o: "ipkl", a: "qswz" };
+      const substitutionCost = (typed, actual) => (neighbours[typed] || "").includes(actual) ? 0.5 : 1;
+
+      expect(trie.fuzzySearch("fotm", 1.5, { withDistances: true, substitutionCost })).toEqual([
+        { word: "form", distance: 0.5 },
+        { word: "farm", distance: 1.5 }
+      ]);
+      expect(trie.fuzzySearch("fotm", 0.5, { substitutionCost })).toEqual(["form"]);
+    });
+
+    test("distances come with values, in compact and frozen tries too", async () => {
+      await trie.insert("tea", { kind: "drink" });
+      const compact = new Trie({ compact: true });
+      await compact.insert(trie.listWords());
+      const options = { transpositions: true, withDistances: true, limit: 3 };
+
+      expect(trie.fuzzySearch("tae", 1, { ...options, withValues: true })[0]).toEqual({ word: "tea", value: { kind: "drink" }, distance: 1 });
+      expect(compact.fuzzySearch("teh", 1, options)).toEqual(trie.fuzzySearch("teh", 1, options));
+      expect(trie.freeze().fuzzySearch("teh", 1, options)).toEqual(trie.fuzzySearch("teh", 1, options));
+    });
+  });
+
+  describe("Fuzzy autocomplete", () => {
+    const words = ["apple", "application", "apply", "applause", "ape", "banana", "aplomb"];
+
+    beforeEach(async () => {
+      await trie.insert(words);
+    });
+
+    test("completes from prefixes with typos", () => {
+      expect(trie.autocomplete("aplp")).toEqual([]);
+      expect(trie.fuzzyAutocomplete("aplp")).toEqual(["aplomb", "applause", "apple", "application", "apply"]);
+      expect(trie.fuzzyAutocomplete("bnana")).toEqual(["banana"]);
+      expect(trie.fuzzyAutocomplete("xyz")).toEqual([]);
+    });
+
+    test("exact prefix matches rank first, then by score", async () => {
+      await trie.insert("ape", undefined, { score: 50 });
+      await trie.insert("apply", undefined, { score: 10 });
+
+      expect(trie.fuzzyAutocomplete("app", { withDistances: true, limit: 3 })).toEqual([
+        { word: "apply", distance: 0 },
+        { word: "applause", distance: 0 },
+        { word: "apple", distance: 0 }
+      ]);
+      expect(trie.fuzzyAutocomplete("app").slice(-2)).toEqual(["ape", "aplomb"]);
+    });
+
+    test("maxDistance and transpositions widen the match", () => {
+      expect(trie.fuzzyAutocomplete("aplpi")).toEqual([]);
+      expect(trie.fuzzyAutocomplete("aplpi", { maxDistance: 2 })).toContain("application");
+      expect(trie.fuzzyAutocomplete("aplpi", { transpositions: true, withDistances: true })).toEqual([
+        { word: "application", distance: 1 }
+      ]);
+    });
+
+    test("compact and frozen tries give the same completions", async () => {
+      const compact = new Trie({ compact: true });
+      await compact.insert(words);
+      const options = { maxDistance: 1, withDistances: true };
+
+      expect(compact.fuzzyAutocomplete("aplp", options)).toEqual(trie.fuzzyAutocomplete("aplp", options));
+      expect(compact.fuzzyAutocomplete("applz", options)).toEqual(trie.fuzzyAutocomplete("applz", options));
+      expect(trie.freeze().fuzzyAutocomplete("aplp", options)).toEqual(trie.fuzzyAutocomplete("aplp", options));
+    });
+  });
+
+  describe("Iteration and pagination", () => {
+    const words = ["banana", "apple", "app", "application", "apply", "band", "x😀", "x1"];
+
+    beforeEach(async () => {
+      await trie.insert(words);
+    });
+
+    test("keys, values, entries and for...of walk lazily in listWords order", async () => {
+      await trie.insert("apple", { id: 1 });
+
+      expect([...trie.keys()]).toEqual(trie.listWords());
+      expect([...trie.values()].filter(value => value !== undefined)).toEqual([{ id: 1 }]);
+      expect([...trie.entries()]).toContainEqual(["apple", { id: 1 }]);
+      expect([...trie]).toEqual([...trie.entries()]);
+
+      const seen = [];
+      for (const [word] of trie) {
+        seen.push(word);
+        if (seen.length === 2) break;
+      }
+      expect(seen).toEqual(trie.listWords().slice(0, 2));
+    });
+
+    test("autocompleteIter yields lazily and matches autocomplete", () => {
+      const iterator = trie.autocompleteIter("app");
+
+      expect(iterator.next().value).toBe("app");
+      expect([...iterator]).toEqual(trie.autocomplete("app").slice(1));
+      expect([...trie.autocompleteIter("zzz")]).toEqual([]);
+      expect([...trie.autocompleteIter("ban", { withValues: true })]).toEqual([
+        { word: "banana", value: undefined },
+        { word: "band", value: undefined }
+      ]);
+    });
+
+    test("very long keys do not overflow the stack", async () => {
+      const long = "a".repeat(50000);
+      await trie.insert(long);
+
+      expect(trie.countWords()).toBe(words.length + 1);
+      expect(trie.listWords()).toContain(long);
+      expect([...trie.autocompleteIter("aaa")]).toEqual([long]);
+    });
+
+    test("the after cursor pages through completions in sorted order", () => {
+      const pages = [];
+      let after = null;
+      for (;;) {
+        const page = trie.autocomplete("", { after, limit: 3 });
+        if (page.length === 0) break;
+        pages.push(page);
+        after = page[page.length - 1];
+      }
+
+      expect(pages).toEqual([
+        ["app", "apple", "application"],
+        ["apply", "banana", "band"],
+        ["x1", "x😀"]
+      ]);
+      expect(trie.autocomplete("app", { after: "app" })).toEqual(["apple", "application", "apply"]);
+    });
+
+    test("a cursor that was deleted between pages still resumes in place", () => {
+      const first = trie.autocomplete("", { after: null, limit: 2 });
+      trie.delete(first[1]);
+
+      expect(trie.autocomplete("", { after: first[1], limit: 2 })).toEqual(["application", "apply"]);
+      expect(trie.autocomplete("", { after: "b", limit: 1 })).toEqual(["banana"]);
+    });
+
+    test("compact and frozen tries page the same way", async () => {
+      const compact = new Trie({ compact: true });
+      await compact.insert(words);
+      const frozen = trie.freeze();
+
+      for (const after of [null, "app", "applb", "band", "x1"]) {
+        const expected = trie.autocomplete("", { after, limit: 3 });
+        expect(compact.autocomplete("", { after, limit: 3 })).toEqual(expected);
+        expect(frozen.autocomplete("", { after, limit: 3 })).toEqual(expected);
+      }
+      expect([...frozen.keys()]).toEqual([...trie.listWords()].sort());
+      expect([...frozen]).toHaveLength(words.length);
+    });
+  });
+
+  describe("Subtree counts", () => {
+    // Every node's count must equal the number of words actually below it
+    const expectConsistentCounts = (node) => {
+      let words = node.isEndOfWord ? 1 : 0;
+      for (const child of Object.values(node.children)) words += expectConsistentCounts(child);
+      expect(node.count).toBe(words);
+      return words;
+    };
+
+    test.each([false, true])("counts stay correct through inserts and deletes (compact: %s)", async (compact) => {
+      const counted = new Trie({ compact });
+      await counted.insert(["prefix", "prefer", "pre", "press", "apple", "app"]);
+      await counted.insert("prefer", { id: 1 });
+      counted.delete("pref");
+      counted.delete("missing");
+      counted.delete("pre");
+      counted._insert("preview");
+      counted.delete("press");
+
+      expect(counted.size).toBe(5);
+      expect(counted.countWords()).toBe(5);
+      expect(counted.countPrefix("pre")).toBe(3);
+      expect(counted.countPrefix("pref")).toBe(2);
+      expect(counted.countPrefix("app")).toBe(2);
+      expect(counted.countPrefix("")).toBe(5);
+      expect(counted.countPrefix("x")).toBe(0);
+      expectConsistentCounts(counted.root);
+    });
+
+    test.each([false, true])("worker batches merged into a populated trie keep counts (compact: %s)", async (compact) => {
+      const merged = new Trie({ compact });
+      try {
+        await merged.insert(["band", "banana", "apple"]);
+        await merged.insert(["ban", "bandana", "band", "cherry"], { useWorker: true });
+
+        expect(merged.size).toBe(6);
+        expect(merged.countPrefix("ban")).toBe(4);
+        expectConsistentCounts(merged.root);
+      } finally {
+        merged._cleanup();
+      }
+    }, 10000);
+
+    test("restored snapshots carry counts", async () => {
+      await trie.insert(["car", "cart", "carbon", "dog"]);
+
+      const restored = Trie.deserialize(trie.serialize(), { compact: true });
+      expect(restored.countPrefix("car")).toBe(3);
+      expectConsistentCounts(restored.root);
+      expectConsistentCounts(Trie.fromJSON(trie.toJSON()).root);
+    });
+
+    test("select is the inverse of rank", async () => {
+      const words = ["delta", "alpha", "charlie", "bravo", "al", "alphabet"];
+      await trie.insert(words);
+      const german = new Trie({ collator: new Intl.Collator("de"), compact: true });
+      await german.insert(["Zebra", "Öl", "Äpfel", "apfel", "Ofen"]);
+      const frozen = trie.freeze();
+
+      for (const source of [trie, german, frozen]) {
+        source.listWords().forEach((word, i) => {
+          expect(source.select(i)).toBe(word);
+          expect(source.rank(word)).toBe(i);
+        });
+        expect(source.select(source.size)).toBeUndefined();
+        expect(source.select(-1)).toBeUndefined();
+        expect(source.select(1.5)).toBeUndefined();
+      }
+      expect(german.rank("Öz")).toBe(4);
+      expect(frozen.countPrefix("al")).toBe(trie.countPrefix("al"));
+    });
+  });
+
+  describe("Bulk operations and set algebra", () => {
+    const catalog = ["apple", "app", "application", "banana", "band", "car", "cart", "cat"];
+
+    beforeEach(async () => {
+      await trie.insert(catalog);
+    });
+
+    test.each([false, true])("deletePrefix removes a whole subtree (compact: %s)", async (compact) => {
+      const source = new Trie({ compact });
+      await source.insert(catalog);
+
+      expect(source.deletePrefix("ca")).toBe(3);
+      expect(source.deletePrefix("appl")).toBe(2);
+      expect(source.deletePrefix("zz")).toBe(0);
+      expect(source.listWords()).toEqual(["app", "banana", "band"]);
+      expect(source.countPrefix("ban")).toBe(2);
+      expect(source.autocomplete("ban", { limit: 1 })).toHaveLength(1);
+      expect(source.deletePrefix("BAN")).toBe(0);
+      expect(source.deletePrefix("")).toBe(3);
+      expect(source.size).toBe(0);
+    });
+
+    test("deletePrefix of the empty prefix is one delete of every word", async () => {
+      const source = new Trie({ history: true });
+      await source.insert(["app", "band"]);
+      const events = [];
+      for (const type of ["delete", "clear"]) source.on(type, event => events.push(event));
+
+      expect(source.deletePrefix("")).toBe(2);
+      expect(events).toEqual([{ type: "delete", words: ["app", "band"] }]);
+      expect(source.history().undo.map(step => step.operation)).toEqual(["insert", "deletePrefix"]);
+      source.undo();
+      expect(source.listWords()).toEqual(["app", "band"]);
+    });
+
+    test("clear empties the trie but keeps its options", async () => {
+      const normalized = new Trie({ normalize: "caseInsensitive", compact: true });
+      await normalized.insert(["Apple", "Banana"]);
+      normalized.clear();
+
+      expect(normalized.size).toBe(0);
+      expect(normalized.listWords()).toEqual([]);
+      await normalized.insert("Cherry");
+      expect(normalized.search("CHERRY")).toBe(true);
+    });
+
+    test("deleteMany deletes in chunks and reports progress", async () => {
+      const progress = [];
+      const result = await trie.deleteMany(["app", "missing", { key: "cat" }, "band"], {
+        chunkSize: 2,
+        onProgress: update => progress.push(update.percentage)
+      });
+
+      expect(result).toEqual({ success: true, processed: 4, deleted: 3 });
+      expect(progress).toEqual([50, 100]);
+      expect(trie.listWords()).toEqual(["apple", "application", "banana", "car", "cart"]);
+    });
+
+    test.each([
+      [false, false],
+      [false, true],
+      [true, false],
+      [true, true]
+    ])("union, intersection and difference work across layouts (compact: %s and %s)", async (leftCompact, rightCompact) => {
+      const left = new Trie({ compact: leftCompact });
+      await left.insert(catalog);
+      const right = new Trie({ compact: rightCompact });
+      await right.insert(["app", "apply", "band", "bandana", "cart", "dog"]);
+      await right.insert("band", { id: 2 });
+
+      const union = left.union(right);
+      expect(union.listWords()).toEqual(["app", "apple", "application", "apply", "banana", "band", "bandana", "car", "cart", "cat", "dog"]);
+      expect(union.get("band")).toEqual({ id: 2 });
+      expect(union.compact).toBe(leftCompact);
+      expect(left.intersection(right).listWords()).toEqual(["app", "band", "cart"]);
+      expect(left.intersection(right).get("band")).toBeUndefined();
+      expect(left.difference(right).listWords()).toEqual(["apple", "application", "banana", "car", "cat"]);
+      expect(right.difference(left).listWords()).toEqual(["apply", "bandana", "dog"]);
+      expect(left.intersection(new Trie()).size).toBe(0);
+
+      // The inputs are untouched, and results share no nodes with them
+      union.delete("app");
+      expect(left.search("app")).toBe(true);
+      expect(right.search("app")).toBe(true);
+      expect(left.size).toBe(catalog.length);
+    });
+
+    test("merge adds another trie's words in place", async () => {
+      const other = new Trie({ compact: true });
+      await other.insert(["app", "zebra"]);
+      await other.insert("zebra", { stripes: true });
+
+      expect(trie.merge(other)).toBe(trie);
+      expect(trie.size).toBe(catalog.length + 1);
+      expect(trie.get("zebra")).toEqual({ stripes: true });
+      expect(trie.autocomplete("ap", { limit: 1 })).toEqual(["app"]);
+      expect(other.listWords()).toEqual(["app", "zebra"]);
+    });
+
+    test("combining tries with different normalization throws", () => {
+      expect(() => trie.union(new Trie({ normalize: "caseInsensitive" }))).toThrow(/different normalize/);
+      expect(() => trie.merge(trie.freeze())).toThrow(TypeError);
+      expect(() => trie.freeze().merge(trie)).toThrow(/read-only/);
+    });
+
+    test.each([false, true])("combines tries with very long keys without deep recursion (compact: %s)", async compact => {
+      const long = "m".repeat(20000);
+      const left = new Trie({ compact });
+      const right = new Trie({ compact: !compact });
+      await left.insert([long, `${long}a`, "short"]);
+      await right.insert([long, `${long}b`]);
+
+      expect(left.union(right).size).toBe(4);
+      expect(left.intersection(right).size).toBe(1);
+      expect(left.intersection(right).search(long)).toBe(true);
+      expect(left.difference(right).size).toBe(2);
+      expect(left.difference(right).search(`${long}a`)).toBe(true);
+      expect(left.merge(right).size).toBe(4);
+      expect(left.countPrefix(long)).toBe(3);
+    });
+  });
+
+  describe("Change events and live queries", () => {
+    test("insert and delete events fire once per call", async () => {
+      const events = [];
+      trie.on("insert", event => events.push(event));
+      trie.on("delete", event => events.push(event));
+
+      await trie.insert(Array.from({ length: 1000 }, (_, i) => `word${i}`));
+      await trie.insert("extra");
+      trie.delete("missing");
+      trie.delete("extra");
+      await trie.deleteMany(["word1", "word2", "nope"], { chunkSize: 1 });
+      trie.deletePrefix("word99");
+
+      expect(events.map(event => [event.type, event.words.length])).toEqual([
+        ["insert", 1000],
+        ["insert", 1],
+        ["delete", 1],
+        ["delete", 2],
+        ["delete", 11]
+      ]);
+      expect(events[3].words).toEqual(["word1", "word2"]);
+    });
+
+    test("clear and progress events", async () => {
+      const events = [];
+      trie.on("clear", event => events.push(event.type));
+      trie.on("progress", event => events.push(event.percentage));
+
+      await trie.insert(["a", "b"]);
+      await trie.deleteMany(["a", "b"], { chunkSize: 1 });
+      trie.clear();
+
+      expect(events).toEqual([100, 50, 100, "clear"]);
+    });
+
+    test("worker batches fire a single insert event", async () => {
+      const events = [];
+      trie.on("insert", event => events.push(event.words.length));
+
+      await trie.insert(Array.from({ length: 2000 }, (_, i) => `forced${i}`), { useWorker: true, chunkSize: 500 });
+
+      expect(events).toEqual([2000]);
+    }, 10000);
+
+    test("on returns an unsubscribe function and off removes a listener", async () => {
+      const calls = [];
+      const listener = () => calls.push("off");
+      const stop = trie.on("insert", () => calls.push("on"));
+      trie.on("insert", listener);
+
+      await trie.insert("one");
+      stop();
+      trie.off("insert", listener);
+      await trie.insert("two");
+
+      expect(calls).toEqual(["on", "off"]);
+      expect(() => trie.on("change", () => {})).toThrow(/Unknown event type/);
+    });
+
+    test("a throwing listener does not break the change or other listeners", async () => {
+      const errors = [];
+      trie = new Trie({ logger: { error: (...args) => errors.push(args) } });
+      const calls = [];
+      trie.on("insert", () => {
+        throw new Error("boom");
+      });
+      trie.on("insert", event => calls.push(event.words));
+
+      await trie.insert("safe");
+
+      expect(trie.search("safe")).toBe(true);
+      expect(calls).toEqual([["safe"]]);
+      expect(errors).toEqual([["Trie listener failed:", new Error("boom")]]);
+    });
+
+    test("subscribe re-emits results only when words under its prefix change", async () => {
+      const results = [];
+      const unsubscribe = trie.subscribe("ap", words => results.push(words), { limit: 2 });
+
+      await trie.insert(["apple", "banana", "apricot"]);
+      await trie.insert("band");
+      trie.delete("apple");
+      trie.recordSelection("apricot");
+      await trie.insert("apex", undefined, { score: 10 });
+      trie.clear();
+      unsubscribe();
+      await trie.insert("apt");
+
+      expect(results).toEqual([
+        [],
+        ["apple", "apricot"],
+        ["apricot"],
+        ["apex", "apricot"],
+        []
+      ]);
+    });
+
+    test("subscribe passes autocomplete options through", async () => {
+      const results = [];
+      trie.subscribe("k", entries => results.push(entries), { withValues: true });
+
+      await trie.insert("key", 1);
+      await trie.insert("key", 2);
+
+      expect(results).toEqual([[], [{ word: "key", value: 1 }], [{ word: "key", value: 2 }]]);
+    });
+  });
+
+  describe("Prefix matching and scanning", () => {
+    test("longestPrefixOf and prefixesOf find the stored words a text starts with", async () => {
+      await trie.insert(["/", "/api", "/api/users", "/api/users/admin"]);
+      await trie.insert("/api/users", "usersHandler");
+
+      expect(trie.longestPrefixOf("/api/users/42")).toBe("/api/users");
+      expect(trie.longestPrefixOf("/api/users/42", { withValues: true })).toEqual({ word: "/api/users", value: "usersHandler" });
+      expect(trie.longestPrefixOf("/ap")).toBe("/");
+      expect(trie.longestPrefixOf("api")).toBeUndefined();
+      expect(trie.prefixesOf("/api/users/admin/1")).toEqual(["/", "/api", "/api/users", "/api/users/admin"]);
+      expect(trie.prefixesOf("x")).toEqual([]);
+    });
+
+    test("scan reports every overlapping occurrence", async () => {
+      await trie.insert(["he", "she", "his", "hers"]);
+
+      expect(trie.scan("ushers")).toEqual([
+        { word: "she", start: 1, end: 4 },
+        { word: "he", start: 2, end: 4 },
+        { word: "hers", start: 2, end: 6 }
+      ]);
+      expect(trie.scan("ahishers").map(match => match.word)).toEqual(["his", "she", "he", "hers"]);
+      expect(trie.scan("xyz")).toEqual([]);
+    });
+
+    test("scan offsets point into the original text when normalization changes its length", async () => {
+      const normalized = new Trie({ normalize: ["caseInsensitive", "accentInsensitive"] });
+      await normalized.insert("café", { severity: 1 });
+      await normalized.insert("bad word");
+      const text = "A CAFE\u0301 with a Bad Word 😀 café";
+
+      const matches = normalized.scan(text, { withValues: true });
+      expect(matches.map(({ start, end }) => text.slice(start, end))).toEqual(["CAFE\u0301", "Bad Word", "café"]);
+      expect(matches[0]).toEqual({ word: "café", start: 2, end: 7, value: { severity: 1 } });
+    });
+
+    test("scan sees words inserted or deleted since the last scan", async () => {
+      await trie.insert(["cat", "dog"]);
+      expect(trie.scan("catdog").map(match => match.word)).toEqual(["cat", "dog"]);
+
+      trie.delete("cat");
+      await trie.insert("at");
+      expect(trie.scan("catdog").map(match => match.word)).toEqual(["at", "dog"]);
+    });
+
+    test.each([false, true])("scan runs over the trie's own nodes and finds what a brute-force search finds (compact: %s)", async compact => {
+      const words = ["abcab", "bca", "cabca", "ab", "c", "abcabcx", "b😀c", "😀cab"];
+      const scanned = new Trie({ compact });
+      await scanned.insert(words);
+      const text = "abcabcabcxb😀cabcab😀ca";
+      const expected = [];
+      for (let end = 1; end <= text.length; end++) {
+        for (let start = 0; start < end; start++) {
+          if (words.includes(text.slice(start, end))) expected.push({ word: text.slice(start, end), start, end });
+        }
+      }
+
+      expect(scanned.scan(text)).toEqual(expected);
+      expect(scanned.automaton.nodes[0]).toBe(scanned.root);
+      expect(scanned.automaton.nodes).toContain(scanned.root.children[compact ? "ab" : "a"]);
+    });
+
+    test("compact and frozen tries match the same prefixes", async () => {
+      const words = ["a", "ab", "abc", "abd", "b", "bcd", "x😀", "x😀y"];
+      await trie.insert(words);
+      const compact = new Trie({ compact: true });
+      await compact.insert(words);
+      const frozen = trie.freeze();
+
+      for (const text of ["abcde", "abd", "bc", "x😀yz", "zz", ""]) {
+        expect(compact.prefixesOf(text)).toEqual(trie.prefixesOf(text));
+        expect(frozen.prefixesOf(text)).toEqual(trie.prefixesOf(text));
+        expect(frozen.longestPrefixOf(text)).toBe(trie.longestPrefixOf(text));
+      }
+      expect(compact.scan("zabcdx😀y")).toEqual(trie.scan("zabcdx😀y"));
+    });
+  });
+
+  describe("Sorted order and range queries", () => {
+    const words = ["delta", "alpha", "charlie", "bravo", "echo", "al", "alphabet", "zulu"];
+
+    beforeEach(async () => {
+      await trie.insert(words);
+    });
+
+    test("listWords is sorted whatever the insertion order", async () => {
+      const reversed = new Trie({ compact: true });
+      await reversed.insert([...words].reverse());
+
+      expect(trie.listWords()).toEqual(["al", "alpha", "alphabet", "bravo", "charlie", "delta", "echo", "zulu"]);
+      expect(reversed.listWords()).toEqual(trie.listWords());
+      expect(trie.autocomplete("al")).toEqual(["al", "alpha", "alphabet"]);
+    });
+
+    test("a collator orders words for a locale", async () => {
+      const plain = new Trie();
+      const german = new Trie({ collator: new Intl.Collator("de") });
+      const input = ["Zebra", "Öl", "Äpfel", "apfel", "Birne", "Ofen"];
+      await plain.insert(input);
+      await german.insert(input);
+
+      expect(plain.listWords()).toEqual(["Birne", "Ofen", "Zebra", "apfel", "Äpfel", "Öl"]);
+      expect(german.listWords()).toEqual(["apfel", "Äpfel", "Birne", "Ofen", "Öl", "Zebra"]);
+      expect(german.range("a", "C")).toEqual(["apfel", "Äpfel", "Birne"]);
+      expect(german.successor("Ofen")).toBe("Öl");
+    });
+
+    test("range returns words in [from, to) with open ends", () => {
+      expect(trie.range("b", "d")).toEqual(["bravo", "charlie"]);
+      expect(trie.range("alpha", "bravo")).toEqual(["alpha", "alphabet"]);
+      expect(trie.range(null, "alpha")).toEqual(["al"]);
+      expect(trie.range("e")).toEqual(["echo", "zulu"]);
+      expect(trie.range("a", "z", { limit: 2 })).toEqual(["al", "alpha"]);
+      expect(trie.range("d", "b")).toEqual([]);
+    });
+
+    test("floor, ceiling, predecessor and successor work for stored and missing words", () => {
+      expect(trie.floor("alpha")).toBe("alpha");
+      expect(trie.floor("alphaa")).toBe("alpha");
+      expect(trie.floor("a")).toBeUndefined();
+      expect(trie.ceiling("alphaa")).toBe("alphabet");
+      expect(trie.ceiling("zz")).toBeUndefined();
+      expect(trie.predecessor("alpha")).toBe("al");
+      expect(trie.predecessor("al")).toBeUndefined();
+      expect(trie.successor("alpha")).toBe("alphabet");
+      expect(trie.successor("b")).toBe("bravo");
+      expect(trie.successor("zulu")).toBeUndefined();
+    });
+
+    test("rank counts the words sorting before a word", () => {
+      expect(trie.rank("al")).toBe(0);
+      expect(trie.rank("alpha")).toBe(1);
+      expect(trie.rank("c")).toBe(4);
+      expect(trie.rank("zzz")).toBe(words.length);
+      trie.listWords().forEach((word, i) => expect(trie.rank(word)).toBe(i));
+    });
+
+    test("compact and frozen tries answer range queries the same way", async () => {
+      const compact = new Trie({ compact: true });
+      await compact.insert(words);
+      const frozen = trie.freeze();
+      const probes = ["", "a", "alp", "alpha", "alphaz", "bravo", "c", "zulu", "zz", "😀"];
+
+      for (const probe of probes) {
+        for (const method of ["floor", "ceiling", "predecessor", "successor", "rank"]) {
+          expect(compact[method](probe)).toBe(trie[method](probe));
+          expect(frozen[method](probe)).toBe(trie[method](probe));
+        }
+        expect(compact.range(probe, "d")).toEqual(trie.range(probe, "d"));
+        expect(frozen.range(probe, "d")).toEqual(trie.range(probe, "d"));
+        expect(frozen.range(null, probe, { limit: 2 })).toEqual(trie.range(null, probe, { limit: 2 }));
+      }
+    });
+  });
+
+  describe("Pattern search", () => {
+    const words = ["apple", "app", "application", "apply", "banana", "bat", "bath", "batch", "v1.2", "v102", "cat9"];
+
+    beforeEach(async () => {
+      await trie.insert(words);
+    });
+
+    test("glob syntax", () => {
+      expect(trie.patternSearch("app*").sort()).toEqual(["app", "apple", "application", "apply"]);
+      expect(trie.patternSearch("ba?")).toEqual(["bat"]);
+      expect(trie.patternSearch("*tch")).toEqual(["batch"]);
+      expect(trie.patternSearch("*[aeiou]").sort()).toEqual(["apple", "banana"]);
+      expect(trie.patternSearch("[!abv]*")).toEqual(["cat9"]);
+      expect(trie.patternSearch("v1.2")).toEqual(["v1.2"]);
+      expect(trie.patternSearch("v1?2").sort()).toEqual(["v1.2", "v102"]);
+      expect(trie.patternSearch("v1\\?2")).toEqual([]);
+      expect(trie.patternSearch("*")).toHaveLength(words.length);
+    });
+
+    test("regex-subset syntax", () => {
+      const regex = { syntax: "regex-subset" };
+
+      expect(trie.patternSearch("ba(t|th)", regex).sort()).toEqual(["bat", "bath"]);
+      expect(trie.patternSearch("ap+l(e|y)", regex).sort()).toEqual(["apple", "apply"]);
+      expect(trie.patternSearch("v1.2", regex).sort()).toEqual(["v1.2", "v102"]);
+      expect(trie.patternSearch("v1\\.\\d", regex)).toEqual(["v1.2"]);
+      expect(trie.patternSearch("[^0-9]+\\d", regex)).toEqual(["cat9"]);
+      expect(trie.patternSearch("b.t(ch)?", regex).sort()).toEqual(["bat", "batch"]);
+      expect(trie.patternSearch("a.*n", regex)).toEqual(["application"]);
+    });
+
+    test("literals are normalized and values can be returned", async () => {
+      trie = new Trie({ normalize: ["caseInsensitive", "accentInsensitive"] });
+      await trie.insert("Café", { id: 1 });
+      await trie.insert("cafeteria");
+
+      expect(trie.patternSearch("CAFÉ*").sort()).toEqual(["Café", "cafeteria"]);
+      expect(trie.patternSearch("[A-C]af?", { withValues: true })).toEqual([{ word: "Café", value: { id: 1 } }]);
+    });
+
+    test("compact and frozen tries give the same matches", async () => {
+      const compact = new Trie({ compact: true });
+      await compact.insert(words);
+      const frozen = trie.freeze();
+
+      for (const pattern of ["app*", "*t?", "[ab]*a*", "v1\\.2"]) {
+        const expected = trie.patternSearch(pattern).sort();
+        expect(compact.patternSearch(pattern).sort()).toEqual(expected);
+        expect(frozen.patternSearch(pattern)).toEqual(expected);
+      }
+    });
+
+    test("invalid patterns and syntaxes are rejected", () => {
+      expect(() => trie.patternSearch("[abc")).toThrow(/unterminated character class/);
+      expect(() => trie.patternSearch("abc\\")).toThrow(/ends with an escape/);
+      expect(() => trie.patternSearch("(ab", { syntax: "regex-subset" })).toThrow(/missing '\)'/);
+      expect(() => trie.patternSearch("*a", { syntax: "regex-subset" })).toThrow(/nothing to repeat/);
+      expect(() => trie.patternSearch("a{2}", { syntax: "regex-subset" })).toThrow(/not supported/);
+      expect(() => trie.patternSearch("a", { syntax: "pcre" })).toThrow(/Unknown pattern syntax/);
+    });
+  });
+
+  describe("Snapshots", () => {
+    const build = async () => {
+      const source = new Trie({ normalize: "caseInsensitive" });
+      await source.insert([
+        { key: "Apple", value: { id: 1, tags: ["fruit"] }, score: 3 },
+        { key: "app", score: 2.5 },
+        "banana",
+        "über"
+      ]);
+      await source.insert("app");
+      return source;
+    };
+
+    const expectSameContents = (restored) => {
+      expect(restored.countWords()).toBe(4);
+      expect(restored.get("apple")).toEqual({ id: 1, tags: ["fruit"] });
+      expect(restored.search("ÜBER")).toBe(true);
+      expect(restored.autocomplete("ap", { limit: 2 })).toEqual(["app", "Apple"]);
+      expect(restored.root.maxScore).toBe(3.5);
+    };
+
+    test("toJSON / fromJSON round-trip", async () => {
+      const source = await build();
+      const json = JSON.stringify(source);
+
+      expectSameContents(Trie.fromJSON(json, { normalize: "caseInsensitive" }));
+      expectSameContents(Trie.fromJSON(source.toJSON(), { normalize: "caseInsensitive" }));
+    });
+
+    test("serialize / deserialize round-trip", async () => {
+      const source = await build();
+      const bytes = source.serialize();
+
+      expect(bytes).toBeInstanceOf(Uint8Array);
+      expectSameContents(Trie.deserialize(bytes, { normalize: "caseInsensitive" }));
+      expectSameContents(Trie.deserialize(bytes.buffer, { normalize: "caseInsensitive" }));
+    });
+
+    test("very long keys round-trip without deep recursion", async () => {
+      const long = "a".repeat(20000);
+      await trie.insert([long, `${long}b`, "ab"]);
+
+      for (const restored of [Trie.deserialize(trie.serialize()), Trie.fromJSON(trie.toJSON())]) {
+        expect(restored.countWords()).toBe(3);
+        expect(restored.search(`${long}b`)).toBe(true);
+        expect(restored.countPrefix("aa")).toBe(2);
+        expect(restored.listWords()).toEqual(trie.listWords());
+      }
+    });
+
+    test("empty trie round-trips", () => {
+      expect(Trie.deserialize(trie.serialize()).listWords()).toEqual([]);
+      expect(Trie.fromJSON(trie.toJSON()).listWords()).toEqual([]);
+    });
+
+    test("corrupted or truncated snapshots are rejected", async () => {
+      const bytes = (await build()).serialize();
+
+      const flipped = bytes.slice();
+      flipped[20] ^= 0xff;
+      expect(() => Trie.deserialize(flipped)).toThrow(/checksum/);
+      expect(() => Trie.deserialize(bytes.slice(0, bytes.length - 6))).toThrow(/checksum/);
+      expect(() => Trie.deserialize(new Uint8Array([1, 2, 3]))).toThrow(/header/);
+    });
+
+    test("unsupported versions are rejected", async () => {
+      const bytes = (await build()).serialize();
+      bytes[4] = 99;
+      expect(() => Trie.deserialize(bytes)).toThrow(/version 99/);
+
+      const json = (await build()).toJSON();
+      expect(() => Trie.fromJSON({ ...json, version: 99 })).toThrow(/version 99/);
+      expect(() => Trie.fromJSON({ root: {} })).toThrow(/Invalid trie snapshot/);
+    });
+  });
+
   // Web Worker specific tests
+  describe("Transactions", () => {
+    test("readers see the committed version until the transaction publishes", async () => {
+      await trie.insert(["apple", "apricot", "banana"]);
+      const events = [];
+      trie.on("insert", event => events.push(["insert", event.words]));
+      trie.on("delete", event => events.push(["delete", event.words]));
+
+      const result = await trie.transaction(async tx => {
+        await tx.insert(["avocado", "blueberry"]);
+        tx.delete("banana");
+        expect(tx.autocomplete("a")).toEqual(["apple", "apricot", "avocado"]);
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(trie.autocomplete("a")).toEqual(["apple", "apricot"]);
+        expect(trie.search("banana")).toBe(true);
+        expect(trie.size).toBe(3);
+        expect(events).toEqual([]);
+        return "done";
+      });
+
+      expect(result).toBe("done");
+      expect(trie.listWords()).toEqual(["apple", "apricot", "avocado", "blueberry"]);
+      expect(trie.size).toBe(4);
+      expect(events).toEqual([["insert", ["avocado", "blueberry"]], ["delete", ["banana"]]]);
+    });
+
+    test("copies only the changed paths and leaves committed nodes untouched", async () => {
+      await trie.insert(["apple", "banana", "band"]);
+      const committed = trie.root;
+      const appleBranch = committed.children.a;
+      const bandNode = committed.children.b.children.a.children.n.children.d;
+
+      await trie.transaction(async tx => {
+        tx.delete("band");
+        tx.recordSelection("banana", 5);
+        await tx.insert("bandana");
+      });
+
+      expect(trie.root).not.toBe(committed);
+      expect(trie.root.children.a).toBe(appleBranch);
+      expect(committed.children.b.children.a.children.n.children.d).toBe(bandNode);
+      expect(bandNode.isEndOfWord).toBe(true);
+      expect(committed.count).toBe(3);
+      expect(trie.listWords()).toEqual(["apple", "banana", "bandana"]);
+      expect(trie.autocomplete("b", { limit: 1 })).toEqual(["banana"]);
+    });
+
+    test("a failing transaction discards every staged change", async () => {
+      await trie.insert(["keep", "these"]);
+      const events = [];
+      trie.on("insert", event => events.push(event));
+
+      await expect(trie.transaction(async tx => {
+        await tx.insert(["lost", "words"]);
+        tx.deletePrefix("k");
+        throw new Error("bad batch");
+      })).rejects.toThrow("bad batch");
+
+      expect(trie.listWords()).toEqual(["keep", "these"]);
+      expect(events).toEqual([]);
+    });
+
+    test("works in compact mode, with clear and merge", async () => {
+      trie = new Trie({ compact: true, normalize: "caseInsensitive" });
+      await trie.insert(["Application", "apply", "banana"]);
+      const other = new Trie({ normalize: "caseInsensitive" });
+      await other.insert(["appetite", "Band"]);
+
+      await trie.transaction(async tx => {
+        tx.merge(other);
+        tx.delete("apply");
+        expect(tx.listWords()).toEqual(["appetite", "Application", "banana", "Band"]);
+      });
+      expect(trie.listWords()).toEqual(["appetite", "Application", "banana", "Band"]);
+      expect(trie.countPrefix("app")).toBe(2);
+
+      await trie.transaction(tx => {
+        tx.clear();
+        return tx.insert("fresh");
+      });
+      expect(trie.listWords()).toEqual(["fresh"]);
+    });
+
+    test("blocks direct writes while open, queues transactions, and ends with its callback", async () => {
+      let leaked;
+      const first = trie.transaction(async tx => {
+        leaked = tx;
+        await tx.insert("one");
+        expect(() => trie.delete("one")).toThrow(/open transaction/);
+        await expect(trie.insert("direct")).rejects.toThrow(/open transaction/);
+      });
+      const second = trie.transaction(async tx => {
+        expect(tx.search("one")).toBe(true);
+        await tx.insert("two");
+      });
+
+      await Promise.all([first, second]);
+      expect(trie.listWords()).toEqual(["one", "two"]);
+      expect(() => leaked.delete("one")).toThrow(/transaction has ended/);
+
+      await trie.insert("three");
+      expect(trie.size).toBe(3);
+    });
+
+    test("worker inserts stay invisible until commit", async () => {
+      await trie.insert(["existing"]);
+      const words = Array.from({ length: 3000 }, (_, i) => `staged${i}`);
+      const seen = [];
+
+      await trie.transaction(tx => tx.insert(words, {
+        useWorker: true,
+        chunkSize: 1000,
+        onProgress: () => seen.push(trie.countPrefix("staged"))
+      }));
+
+      expect(seen).toEqual([0, 0, 0]);
+      expect(trie.countWords()).toBe(3001);
+      expect(trie.search("staged2999")).toBe(true);
+    }, 10000);
+
+    test("waits for async inserts and deletes already running", async () => {
+      await trie.insert(["doomed0", "doomed1", "kept"]);
+      const words = Array.from({ length: 2000 }, (_, i) => `pending${i}`);
+      const inserting = trie.insert(words, { useWorker: true, chunkSize: 500 });
+      const deleting = trie.deleteMany(["doomed0", "doomed1"], { chunkSize: 1 });
+
+      const counted = await trie.transaction(async tx => {
+        await tx.insert("staged");
+        return tx.countPrefix("pending");
+      });
+      await Promise.all([inserting, deleting]);
+
+      expect(counted).toBe(2000);
+      expect(trie.countPrefix("pending")).toBe(2000);
+      expect(trie.search("doomed1")).toBe(false);
+      expect(trie.size).toBe(2002);
+      expect(trie.size).toBe(trie.listWords().length);
+    }, 10000);
+  });
+
+  describe("History and versions", () => {
+    test.each([false, true])("undoes and redoes each change (compact: %s)", async compact => {
+      trie = new Trie({ history: true, compact });
+      await trie.insert(["apple", "apricot", "banana"]);
+      trie.delete("apricot");
+      trie.delete("missing");
+      trie.deletePrefix("ban");
+
+      expect(trie.undo()).toBe(true);
+      expect(trie.listWords()).toEqual(["apple", "banana"]);
+      expect(trie.undo()).toBe(true);
+      expect(trie.listWords()).toEqual(["apple", "apricot", "banana"]);
+      expect(trie.redo()).toBe(true);
+      expect(trie.listWords()).toEqual(["apple", "banana"]);
+
+      trie.insert("cherry");
+      expect(trie.redo()).toBe(false);
+      expect(trie.history()).toEqual({
+        undo: [
+          { operation: "insert", added: ["apple", "apricot", "banana"], removed: [] },
+          { operation: "delete", added: [], removed: ["apricot"] },
+          { operation: "insert", added: ["cherry"], removed: [] }
+        ],
+        redo: []
+      });
+
+      while (trie.undo());
+      expect(trie.size).toBe(0);
+      expect(trie.history().redo.map(step => step.operation)).toEqual(["insert", "delete", "insert"]);
+    });
+
+    test("checkpoints share nodes, restore, and diff any two versions", async () => {
+      trie = new Trie({ history: true, compact: true });
+      await trie.insert(["apple", "application", "banana"]);
+      trie.checkpoint("v1");
+      const shared = trie.root.children.banana;
+
+      trie.insert("apply");
+      trie.delete("apple");
+      trie.checkpoint("v2");
+      trie.clear();
+
+      expect(trie.root.children).toEqual({});
+      expect(trie.diff("v1", "v2")).toEqual({ added: ["apply"], removed: ["apple"] });
+      expect(trie.diff("v2")).toEqual({ added: [], removed: ["application", "apply", "banana"] });
+      expect(trie.listCheckpoints()).toEqual(["v1", "v2"]);
+
+      trie.restore("v1");
+      expect(trie.listWords()).toEqual(["apple", "application", "banana"]);
+      expect(trie.root.children.banana).toBe(shared);
+      expect(trie.autocomplete("app")).toEqual(["apple", "application"]);
+
+      trie.insert("apricot");
+      expect(trie.diff("v1")).toEqual({ added: ["apricot"], removed: [] });
+      expect(trie.undo()).toBe(true);
+      expect(trie.undo()).toBe(true);
+      expect(trie.size).toBe(0);
+
+      expect(trie.deleteCheckpoint("v2")).toBe(true);
+      expect(() => trie.restore("v2")).toThrow(/Unknown checkpoint: v2/);
+    });
+
+    test("tells listeners and live queries what undo and redo changed", async () => {
+      trie = new Trie({ history: true });
+      await trie.insert(["cat", "car"]);
+      trie.recordSelection("cat", 5);
+      trie.delete("car");
+      const events = [];
+      const results = [];
+      trie.on("insert", ({ words }) => events.push(["insert", words]));
+      trie.on("delete", ({ words }) => events.push(["delete", words]));
+      trie.subscribe("ca", found => results.push(found), { limit: 5 });
+
+      trie.undo();
+      trie.undo();
+      trie.redo();
+
+      // The score change reorders the live results without an event
+      expect(events).toEqual([["insert", ["car"]]]);
+      expect(results).toEqual([["cat"], ["cat", "car"], ["car", "cat"], ["cat", "car"]]);
+    });
+
+    test("a transaction is one step, and the undo limit drops the oldest", async () => {
+      trie = new Trie({ history: { limit: 2 } });
+      trie.insert("one");
+      trie.insert("two");
+      await trie.transaction(async tx => {
+        await tx.insert(["three", "four"]);
+        tx.delete("one");
+      });
+
+      expect(trie.history().undo.map(step => step.operation)).toEqual(["insert", "transaction"]);
+      trie.undo();
+      expect(trie.listWords()).toEqual(["one", "two"]);
+      trie.undo();
+      expect(trie.undo()).toBe(false);
+      expect(trie.listWords()).toEqual(["one"]);
+    });
+
+    test.each([false, true])("diffs and undoes very long keys without deep recursion (compact: %s)", async compact => {
+      trie = new Trie({ history: true, compact });
+      const long = "a".repeat(20000);
+      await trie.insert([long, "ab"]);
+      trie.checkpoint("v1");
+      trie.insert(`${long}b`);
+      trie.delete(long);
+      const events = [];
+      trie.on("insert", ({ words }) => events.push(["insert", words.map(word => word.length)]));
+      trie.on("delete", ({ words }) => events.push(["delete", words.map(word => word.length)]));
+
+      expect(trie.diff("v1")).toEqual({ added: [`${long}b`], removed: [long] });
+      trie.undo();
+      trie.undo();
+      expect(trie.listWords()).toEqual([long, "ab"]);
+      expect(events).toEqual([["insert", [20000]], ["delete", [20001]]]);
+    });
+
+    test("needs history mode", () => {
+      expect(() => trie.undo()).toThrow(/undo\(\) needs history mode/);
+      expect(() => trie.checkpoint("v1")).toThrow(/needs history mode/);
+    });
+  });
+
+  describe("Streaming ingestion", () => {
+    test("reads lines split across chunks of a Node stream", async () => {
+      const encoded = new TextEncoder().encode("\uFEFFapple\r\nbanana\n\n  \ncafé\nbath");
+      // Split inside "é" so a character arrives in two chunks
+      const cut = encoded.indexOf(0xc3) + 1;
+      const source = Readable.from([encoded.subarray(0, 9), encoded.subarray(9, cut), encoded.subarray(cut)]);
+
+      const result = await trie.insertFrom(source);
+
+      expect(result).toEqual({ success: true, processed: 4, lines: 6, bytes: encoded.length });
+      expect(trie.listWords()).toEqual(["apple", "banana", "bath", "café"]);
+    });
+
+    test("accepts web streams, string iterables and entries", async () => {
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue("one\ntw");
+          controller.enqueue("o\n");
+          controller.close();
+        }
+      });
+      await trie.insertFrom(stream);
+
+      async function* entries() {
+        yield { key: "three", value: 3, score: 7 };
+        yield "four\n";
+      }
+      expect(await trie.insertFrom(entries())).toEqual({ success: true, processed: 2, lines: 2, bytes: 5 });
+      expect(await trie.insertFrom(["fi", "ve\nsix"])).toMatchObject({ processed: 2 });
+
+      expect(trie.size).toBe(6);
+      expect(trie.get("three")).toBe(3);
+      expect(trie.autocomplete("", { limit: 1 })).toEqual(["three"]);
+      await expect(trie.insertFrom(42)).rejects.toThrow(TypeError);
+    });
+
+    test("inserts in batches with progress, events and a parse option", async () => {
+      const lines = Array.from({ length: 25 }, (_, i) => `w${i},${i}`).join("\n");
+      const progress = [];
+      const inserted = [];
+      trie.on("insert", event => inserted.push(event.words.length));
+
+      const result = await trie.insertFrom(Readable.from([lines]), {
+        chunkSize: 10,
+        totalBytes: lines.length,
+        parse: line => {
+          const [key, score] = line.split(",");
+          return Number(score) % 5 === 0 ? null : { key, score: Number(score) };
+        },
+        onProgress: update => progress.push(update)
+      });
+
+      expect(result).toMatchObject({ processed: 20, lines: 25, bytes: lines.length });
+      expect(inserted).toEqual([10, 10]);
+      expect(progress.map(update => update.processed)).toEqual([10, 20]);
+      expect(progress[progress.length - 1]).toEqual({ processed: 20, lines: 25, bytes: lines.length, percentage: 100 });
+      expect(trie.has("w5")).toBe(false);
+      expect(trie.autocomplete("w", { limit: 1 })).toEqual(["w24"]);
+    });
+
+    test("rejects a chunkSize that is not a positive integer before reading", async () => {
+      let reads = 0;
+      const source = { *[Symbol.iterator]() { reads++; yield "apple\n"; } };
+      for (const chunkSize of [0, -1, 1.5, NaN, "10"]) {
+        await expect(trie.insertFrom(source, { chunkSize })).rejects.toThrow(RangeError);
+      }
+      expect(reads).toBe(0);
+      expect(trie.size).toBe(0);
+    });
+
+    test("stops at an aborted signal, keeping the batches already inserted", async () => {
+      const controller = new AbortController();
+      async function* words() {
+        for (let i = 0; i < 100; i++) {
+          if (i === 30) controller.abort();
+          yield `word${i}\n`;
+        }
+      }
+
+      await expect(trie.insertFrom(words(), { chunkSize: 10, signal: controller.signal })).rejects.toThrow(AbortError);
+      expect(trie.size).toBe(30);
+
+      await expect(trie.insertFrom(["late"], { signal: controller.signal })).rejects.toThrow(AbortError);
+      expect(trie.has("late")).toBe(false);
+    });
+  });
+
   describe("Web Worker functionality", () => {
     // Cleanup workers after each worker test
     afterEach(async () => {
@@ -205,6 +1509,107 @@ describe("Trie", () => {
       expect(trie.search("forced500")).toBe(true);
     }, 10000); // Increased timeout for worker operations
 
+    test("streams batches into the worker", async () => {
+      const text = Array.from({ length: 3000 }, (_, i) => `streamed${i}`).join("\n");
+
+      const result = await trie.insertFrom(Readable.from([text]), { useWorker: true, chunkSize: 1000 });
+
+      expect(result).toMatchObject({ success: true, processed: 3000, lines: 3000 });
+      expect(trie.countWords()).toBe(3000);
+      expect(trie.search("streamed2999")).toBe(true);
+    }, 10000);
+
+    test("logs through the logger option and is silent by default", async () => {
+      const originalLog = console.log;
+      const printed = [];
+      console.log = (...args) => printed.push(args);
+      try {
+        await trie.insert(["quiet", "words"], { useWorker: true });
+      } finally {
+        console.log = originalLog;
+      }
+      expect(printed).toEqual([]);
+
+      const messages = [];
+      trie = new Trie({ logger: { debug: message => messages.push(message) } });
+      await trie.insert(["loud", "words"], { useWorker: true });
+
+      expect(messages).toContain("Using web worker for 2 words");
+      expect(messages).toContain("Creating web worker...");
+      expect(trie.search("loud")).toBe(true);
+    }, 10000);
+
+    test("aborting an insert stops dispatching chunks and terminates the worker", async () => {
+      const controller = new AbortController();
+      const words = Array.from({ length: 3000 }, (_, i) => `abort${i}`);
+
+      const pending = trie.insert(words, {
+        useWorker: true,
+        chunkSize: 1000,
+        signal: controller.signal,
+        onProgress: () => controller.abort()
+      });
+
+      await expect(pending).rejects.toThrow(AbortError);
+      expect(trie.countWords()).toBe(1000);
+      expect(trie.workerClient.worker).toBe(null);
+
+      await expect(trie.insert(["late"], { signal: controller.signal })).rejects.toThrow(AbortError);
+      expect(trie.search("late")).toBe(false);
+    }, 10000);
+
+    test("a worker timeout falls back to the main thread for the remaining chunks", async () => {
+      const warnings = [];
+      trie = new Trie({ logger: { warn: (message, error) => warnings.push(error) } });
+      const words = Array.from({ length: 2000 }, (_, i) => `slow${i}`);
+      const send = trie.workerClient.send.bind(trie.workerClient);
+      let calls = 0;
+      // The second chunk never gets a reply within its timeout
+      // (a cancel for a request the worker does not know gets no reply)
+      trie.workerClient.send = (message, options) => (++calls === 2 ? send({ op: "cancel" }, options) : send(message, options));
+
+      const result = await trie.insert(words, { useWorker: true, chunkSize: 1000, chunkTimeout: 50 });
+
+      expect(result).toEqual({ success: true, processed: 2000 });
+      expect(trie.countWords()).toBe(2000);
+      expect(trie.rank("slow999")).toBeGreaterThanOrEqual(0);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toBeInstanceOf(WorkerTimeoutError);
+      expect(warnings[0].timeout).toBe(50);
+    }, 10000);
+
+    test("a chunk failure lets other inserts sharing the worker fall back instead of aborting", async () => {
+      const warnings = [];
+      trie = new Trie({ logger: { warn: (message, error) => warnings.push(error) } });
+      const send = trie.workerClient.send.bind(trie.workerClient);
+      // Neither the other insert's chunk nor the first insert's chunk ever gets a reply
+      trie.workerClient.send = (message, options) =>
+        send(message.words[0] === "other0" || message.words[0] === "slow0" ? { op: "cancel" } : message, options);
+
+      const [slow, other] = await Promise.all([
+        trie.insert(Array.from({ length: 1000 }, (_, i) => `slow${i}`), { useWorker: true, chunkTimeout: 50 }),
+        trie.insert(Array.from({ length: 1000 }, (_, i) => `other${i}`), { useWorker: true, chunkTimeout: 0 })
+      ]);
+
+      expect(slow).toEqual({ success: true, processed: 1000 });
+      expect(other).toEqual({ success: true, processed: 1000 });
+      expect(trie.countWords()).toBe(2000);
+      expect(warnings.map(error => error.constructor)).toEqual(expect.arrayContaining([WorkerTimeoutError, WorkerError]));
+    }, 10000);
+
+    test("a failed worker rejects large inserts with a typed error", async () => {
+      trie.workerClient._createWorker = async () => {
+        throw new WorkerLoadError("Could not load worker.js: blocked");
+      };
+
+      await expect(trie.insert(new Array(500001).fill("big"))).rejects.toThrow(WorkerLoadError);
+      expect(trie.countWords()).toBe(0);
+
+      const result = await trie.insert(["small", "list"], { useWorker: true });
+      expect(result).toEqual({ success: true, processed: 2 });
+      expect(trie.countWords()).toBe(2);
+    }, 10000);
+
     test("progress callback functionality", async () => {
       const words = Array.from({length: 5000}, (_, i) => `progress${i}`);
       const progressUpdates = [];
@@ -238,6 +1643,107 @@ describe("Trie", () => {
       expect(trie.search("batch2_1000")).toBe(true);
     }, 15000);
 
+    test("worker runs under Node worker_threads", async () => {
+      await trie.insert(["alpha", "beta"], { useWorker: true });
+
+      expect(trie.workerClient.worker).not.toBeNull();
+      expect(trie.listWords()).toEqual(expect.arrayContaining(["alpha", "beta"]));
+    }, 10000);
+
+    test("worker-built nodes merge with existing words, values and scores", async () => {
+      trie = new Trie({ normalize: "caseInsensitive" });
+      await trie.insert([{ key: "Apple", value: "old" }, "bat"]);
+
+      const result = await trie.insert(
+        [{ key: "APPLE", value: "new" }, "bat", "bat", "cat"],
+        { useWorker: true, chunkSize: 2 }
+      );
+
+      expect(result).toEqual({ success: true, processed: 4 });
+      expect(trie.countWords()).toBe(3);
+      expect(trie.get("apple")).toBe("new");
+      expect(trie.autocomplete("", { limit: 3 })).toEqual(["bat", "APPLE", "cat"]);
+      expect(trie.root.maxScore).toBe(3);
+    }, 10000);
+
+    test("worker-built nodes are adopted packed and only decoded where they are read", async () => {
+      trie = new Trie({ history: true });
+      const decoded = node => Object.getOwnPropertyDescriptor(node, "children") !== undefined;
+
+      await trie.insert(["apple", "apricot", "banana", "cherry"], { useWorker: true });
+      expect(decoded(trie.root)).toBe(false);
+      expect(trie.search("apple")).toBe(true);
+      expect(decoded(trie.root.children.a)).toBe(true);
+      expect(decoded(trie.root.children.c)).toBe(false);
+
+      await trie.insert(["cherub", { key: "banana", value: "yellow" }], { useWorker: true });
+      expect(decoded(trie.root.children.c)).toBe(true);
+      expect(decoded(trie.root.children.c.children.h.children.e.children.r.children.r)).toBe(false);
+      expect(trie.get("banana")).toBe("yellow");
+      expect(trie.countPrefix("cher")).toBe(2);
+
+      trie.delete("apricot");
+      trie.undo();
+      expect(trie.listWords()).toEqual(["apple", "apricot", "banana", "cherry", "cherub"]);
+      expect(trie.autocomplete("", { limit: 1 })).toEqual(["banana"]);
+    }, 10000);
+
+    test.each([false, true])("worker-built very long keys merge without deep recursion (compact: %s)", async compact => {
+      trie = new Trie({ compact });
+      const long = "k".repeat(20000);
+      await trie.insert([long, `${long}a`]);
+
+      await trie.insert([long, `${long}b`, `${"k".repeat(10000)}c`], { useWorker: true });
+
+      expect(trie.countWords()).toBe(4);
+      // Seen twice, the long key outranks the others
+      expect(trie.autocomplete("k", { limit: 1 })[0] === long).toBe(true);
+      expect(trie.search(`${long}b`)).toBe(true);
+      expect(trie.countPrefix("k".repeat(10000))).toBe(4);
+    }, 15000);
+
+    test("a failure while merging worker output is not retried on the main thread", async () => {
+      const warnings = [];
+      trie = new Trie({ logger: { warn: (message, error) => warnings.push(error) } });
+      await trie.insert(["existing"]);
+      trie._mergeNodes = () => {
+        throw new Error("merge failed");
+      };
+
+      await expect(trie.insert(["fresh", "words"], { useWorker: true })).rejects.toThrow("merge failed");
+      await expect(trie.insertFrom(Readable.from(["more\nlines\n"]), { useWorker: true })).rejects.toThrow("merge failed");
+      expect(warnings).toEqual([]);
+      expect(trie.search("fresh")).toBe(false);
+      expect(trie.search("more")).toBe(false);
+    }, 10000);
+
+    test.each([false, true])("explicit scores replace the stored score in the worker as on the main thread (compact: %s)", async compact => {
+      const batch = [{ key: "a", score: 10 }, "b", "b", { key: "c", score: 1 }, "c", "d"];
+      const ranked = {};
+      for (const useWorker of [false, true]) {
+        const built = new Trie({ compact });
+        await built.insert(batch, { useWorker, chunkSize: 3 });
+        await built.insert(batch, { useWorker, chunkSize: 3 });
+        ranked[useWorker] = {
+          scores: ["a", "b", "c", "d"].map(word => built._findNode(word).score),
+          top: built.autocomplete("", { limit: 4 })
+        };
+        built._cleanup();
+      }
+
+      expect(ranked.true).toEqual(ranked.false);
+      expect(ranked.false).toEqual({ scores: [10, 4, 2, 2], top: ["a", "b", "c", "d"] });
+    }, 10000);
+
+    test("custom normalizer functions stay on the main thread", async () => {
+      trie = new Trie({ normalize: word => word.toLowerCase() });
+      const result = await trie.insert(["One", "TWO"], { useWorker: true });
+
+      expect(result.success).toBe(true);
+      expect(trie.workerClient.worker).toBeNull();
+      expect(trie.search("two")).toBe(true);
+    });
+
     test("error handling and fallback", async () => {
       const words = Array.from({length: 1000}, (_, i) => `fallback${i}`); // Reduced for faster testing
       
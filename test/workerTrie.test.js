@@ -0,0 +1,133 @@
+import { Trie, WorkerTrie, AbortError, WorkerError } from "../src/index.js";
+
+describe("WorkerTrie", () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new WorkerTrie({ normalize: "caseInsensitive" });
+  });
+
+  afterEach(() => {
+    trie.terminate();
+    trie = null;
+  });
+
+  test("runs the Trie API inside the worker", async () => {
+    const result = await trie.insert(["Apple", "app", "application", "banana", "bath"]);
+    await trie.insert("Apricot", { id: 7 }, { score: 10 });
+
+    expect(result).toEqual({ success: true, processed: 5 });
+    expect(await trie.search("apple")).toBe(true);
+    expect(await trie.has("appl")).toBe(false);
+    expect(await trie.get("apricot")).toEqual({ id: 7 });
+    expect(await trie.startsWith("BA")).toBe(true);
+    expect(await trie.autocomplete("ap", { limit: 1 })).toEqual(["Apricot"]);
+    expect(await trie.fuzzySearch("aple", 1)).toEqual(["Apple"]);
+    expect(await trie.wildcardSearch("ba.h")).toEqual(["bath"]);
+    expect(await trie.patternSearch("b*h")).toEqual(["bath"]);
+    expect(await trie.fuzzyAutocomplete("bnan")).toEqual(["banana"]);
+    expect(await trie.countWords()).toBe(6);
+    expect(await trie.countPrefix("ap")).toBe(4);
+    expect(await trie.select(0)).toBe("app");
+    expect(await trie.range("b", "c")).toEqual(["banana", "bath"]);
+    expect(await trie.floor("apq")).toBe("application");
+    expect(await trie.rank("b")).toBe(4);
+    expect(await trie.longestPrefixOf("applesauce")).toBe("Apple");
+    expect(await trie.scan("a bath")).toEqual([{ word: "bath", start: 2, end: 6 }]);
+
+    await trie.delete("bath");
+    expect(await trie.listWords()).not.toContain("bath");
+    expect(await trie.deletePrefix("appl")).toBe(2);
+    expect(await trie.deleteMany(["app", "nope"])).toEqual({ success: true, processed: 2, deleted: 1 });
+    expect(await trie.recordSelection("banana")).toBe(2);
+  }, 10000);
+
+  test("streams words into the worker from the calling thread", async () => {
+    const progress = [];
+    const result = await trie.insertFrom(["Alpha\nbeta\n", "gam", "ma\n"], {
+      chunkSize: 2,
+      onProgress: update => progress.push(update.processed)
+    });
+
+    expect(result).toEqual({ success: true, processed: 3, lines: 3, bytes: 17 });
+    expect(progress).toEqual([2, 3]);
+    expect(await trie.listWords()).toEqual(["Alpha", "beta", "gamma"]);
+    await expect(trie.insertFrom(["delta\n"], { chunkSize: 0 })).rejects.toThrow(/chunkSize must be a positive integer/);
+  }, 10000);
+
+  test("keeps the logger on the calling thread and rejects calls cut off by terminate", async () => {
+    const messages = [];
+    trie.terminate();
+    trie = new WorkerTrie({ normalize: "caseInsensitive", logger: { debug: message => messages.push(message) } });
+    await trie.insert(["Logged"]);
+    expect(await trie.search("logged")).toBe(true);
+    expect(messages).toContain("Worker created successfully");
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(trie.insert(["late"], { signal: controller.signal })).rejects.toThrow(AbortError);
+
+    const pending = trie.listWords();
+    trie.terminate();
+    await expect(pending).rejects.toThrow(AbortError);
+  }, 10000);
+
+  test("async iterators page through the worker", async () => {
+    await trie.insert(["delta", "Charlie", "bravo", "alpha", "echo"]);
+
+    const words = [];
+    for await (const word of trie.autocompleteIter("", { pageSize: 2 })) {
+      words.push(word);
+    }
+    expect(words).toEqual(["alpha", "bravo", "Charlie", "delta", "echo"]);
+
+    const entries = [];
+    for await (const entry of trie) {
+      entries.push(entry);
+      if (entries.length === 3) break;
+    }
+    expect(entries).toEqual([["alpha", undefined], ["bravo", undefined], ["Charlie", undefined]]);
+  }, 10000);
+
+  test("loads a serialized snapshot", async () => {
+    const source = new Trie();
+    await source.insert(["red", "green", "blue"]);
+
+    await trie.load(source.serialize());
+
+    expect(await trie.countWords()).toBe(3);
+    expect(await trie.autocomplete("gr")).toEqual(["green"]);
+  }, 10000);
+
+  test("aborted queries reject with AbortError", async () => {
+    await trie.insert(Array.from({ length: 2000 }, (_, i) => `word${i}`));
+
+    const controller = new AbortController();
+    const stale = trie.fuzzySearch("word1", 2, { signal: controller.signal });
+    const latest = trie.autocomplete("word199");
+    controller.abort();
+
+    await expect(stale).rejects.toBeInstanceOf(AbortError);
+    expect(await latest).toEqual(expect.arrayContaining(["word199", "word1990"]));
+
+    const alreadyAborted = new AbortController();
+    alreadyAborted.abort();
+    await expect(trie.search("word1", { signal: alreadyAborted.signal })).rejects.toThrow(AbortError);
+  }, 10000);
+
+  test("errors thrown in the worker reject with a WorkerError", async () => {
+    await trie.insert(["apple"]);
+
+    const failed = trie.patternSearch("a(", { syntax: "regex-subset" });
+    await expect(failed).rejects.toBeInstanceOf(WorkerError);
+    await expect(failed).rejects.toThrow(/missing '\)'/);
+    await expect(failed).rejects.toHaveProperty("workerErrorName", "Error");
+    await expect(trie._call("frobnicate")).rejects.toThrow(/Unsupported method/);
+    expect(await trie.search("apple")).toBe(true);
+  });
+
+  test("rejects custom normalize functions", () => {
+    expect(() => new WorkerTrie({ normalize: word => word })).toThrow(/custom normalize function/);
+    expect(() => new WorkerTrie({ collator: new Intl.Collator("de") })).toThrow(/collator/);
+  });
+});